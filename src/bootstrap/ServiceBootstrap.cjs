@@ -83,6 +83,9 @@ class ServiceBootstrap {
         const profileService = this.container.get('profileService');
         await profileService.initialize();
       }
+      if (this.container.has('savedQueryService')) {
+        await this.container.get('savedQueryService').initialize();
+      }
 
       this.initialized = true;
 
@@ -110,6 +113,7 @@ class ServiceBootstrap {
     const Security = require('../services/Security.cjs');
     const Validation = require('../services/Validation.cjs');
     const ProfileService = require('../services/ProfileService.cjs');
+    const SavedQueryService = require('../services/SavedQueryService.cjs');
 
     // Logger (базовый сервис)
     this.container.register('logger', () => {
@@ -135,6 +139,13 @@ class ServiceBootstrap {
       singleton: true,
       dependencies: ['logger', 'security'] 
     });
+
+    // Библиотека сохранённых запросов
+    this.container.register('savedQueryService', (logger, profileService) =>
+      new SavedQueryService(logger, profileService), {
+      singleton: true,
+      dependencies: ['logger', 'profileService']
+    });
   }
 
   static async registerManagers() {
@@ -144,10 +155,10 @@ class ServiceBootstrap {
 
     // PostgreSQL Manager
     this.container.register('postgresqlManager', 
-      (logger, security, validation, profileService) => 
-        new PostgreSQLManager(logger, security, validation, profileService), { 
+      (logger, security, validation, profileService, sshManager, savedQueryService) => 
+        new PostgreSQLManager(logger, security, validation, profileService, sshManager, savedQueryService), { 
       singleton: true,
-      dependencies: ['logger', 'security', 'validation', 'profileService'] 
+      dependencies: ['logger', 'security', 'validation', 'profileService', 'sshManager', 'savedQueryService'] 
     });
 
     // SSH Manager
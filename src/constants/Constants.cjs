@@ -6,6 +6,7 @@ class Constants {
   static get NETWORK() {
     return {
       POSTGRES_DEFAULT_PORT: 5432,
+      POSTGRES_APPLICATION_NAME: 'sentryfrogg',
       SSH_DEFAULT_PORT: 22,
       TIMEOUT_SSH_READY: 10000,       // 10 секунд
       TIMEOUT_SSH_COMMAND: 30000,     // 30 секунд
@@ -28,12 +29,35 @@ class Constants {
       MAX_COMMAND_LENGTH: 1024,
       MAX_SQL_COMMAND_LENGTH: 1000,
       MAX_CONNECTIONS: 10,
+      MAX_POOL_SIZE: 100,
       MAX_QUERY_LIMIT: 10000,
       MIN_QUERY_LIMIT: 1,
       MAX_PORT: 65535,
       MIN_PORT: 1,
       SAMPLE_DATA_LIMIT: 10,
       DEFAULT_QUERY_LIMIT: 100,
+      MAX_TRANSACTION_STEPS: 100,
+      PLAN_TOP_NODES: 5,
+      PLAN_LARGE_TABLE_ROWS: 100000,
+      PLAN_ESTIMATE_MISMATCH_FACTOR: 10,
+      EXPORT_FETCH_SIZE: 1000,
+      EXPORT_PREVIEW_ROWS: 5,
+      BULK_BATCH_SIZE: 1000,
+      MAX_BIND_PARAMETERS: 65535,     // предел протокола PostgreSQL на одно выражение
+      MAX_OPEN_CURSORS: 5,
+      MAX_QUERY_TIMEOUT: 86400000,    // 24 часа
+      ACTIVITY_QUERY_LENGTH: 2000,
+      NOTIFY_BUFFER_SIZE: 1000,
+      MAX_NOTIFY_PAYLOAD: 8000,
+      BYTEA_PREVIEW_BYTES: 1024,
+      QUERY_HISTORY_SIZE: 200,
+      QUERY_HISTORY_SQL_LENGTH: 2000,
+      PROFILE_TOP_VALUES: 5,
+      PROFILE_HISTOGRAM_BUCKETS: 10,
+      PROFILE_SAMPLE_ROWS: 10000,     // целевой размер выборки profile_table
+      PROFILE_MAX_SAMPLE_ROWS: 100000,
+      PROFILE_VALUE_LENGTH: 200,
+      ERD_MAX_DEPTH: 5,
       LOG_SUBSTRING_LENGTH: 100,
       COMMAND_SUBSTRING_LENGTH: 50
     };
@@ -48,7 +72,33 @@ class Constants {
       STATISTICS_MINUTE: 60000,       // 1 минута
       CLEANUP_OLD_LOGS: 10000,        // 10 секунд
       CONNECTION_TIMEOUT: 2000,       // 2 секунды для подключения
-      IDLE_TIMEOUT: 30000             // 30 секунд простоя
+      IDLE_TIMEOUT: 30000,            // 30 секунд простоя
+      CURSOR_IDLE_TIMEOUT: 300000,    // 5 минут без fetch_more
+      QUERY_TIMEOUT: 300000,          // 5 минут на quick_query по умолчанию
+      QUERY_CANCEL_GRACE: 1000,       // запас перед pg_cancel_backend
+      NOTIFY_MAX_WAIT: 30000          // 30 секунд ожидания в poll_notifications
+    };
+  }
+
+  // Пороги отчёта health_report
+  static get HEALTH() {
+    return {
+      TOP_OBJECTS: 10,
+      DEAD_TUPLES_MIN: 10000,
+      DEAD_RATIO_WARNING: 0.2,
+      DEAD_RATIO_CRITICAL: 0.5,
+      VACUUM_STALE_MS: 7 * 86400000,  // 7 дней
+      UNUSED_INDEX_MIN_BYTES: 1024 * 1024, // 1MB
+      SEQ_SCAN_MIN_ROWS: 100000,
+      CACHE_MIN_BLOCKS: 10000,
+      CACHE_HIT_WARNING: 0.99,
+      CACHE_HIT_CRITICAL: 0.95,
+      LONG_TRANSACTION_WARNING_MS: 300000,   // 5 минут
+      LONG_TRANSACTION_CRITICAL_MS: 3600000, // 1 час
+      REPLICATION_LAG_WARNING_MS: 60000,     // 1 минута
+      REPLICATION_LAG_CRITICAL_MS: 300000,   // 5 минут
+      CONNECTIONS_WARNING_RATIO: 0.8,
+      CONNECTIONS_CRITICAL_RATIO: 0.95
     };
   }
 
@@ -5,16 +5,80 @@
  * Простой API, дружелюбный к агентам.
  */
 
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const { URL } = require('url');
-const { Pool } = require('pg');
+const { Client, Pool } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
 const Constants = require('../constants/Constants.cjs');
+const PlanSummary = require('../utils/PlanSummary.cjs');
+const DataFormats = require('../utils/DataFormats.cjs');
+const SchemaDiff = require('../utils/SchemaDiff.cjs');
+const MigrationFiles = require('../utils/MigrationFiles.cjs');
+const SqlFilter = require('../utils/SqlFilter.cjs');
+const BlockingTree = require('../utils/BlockingTree.cjs');
+const HealthReport = require('../utils/HealthReport.cjs');
+const SchemaDump = require('../utils/SchemaDump.cjs');
+const ResultSerializer = require('../utils/ResultSerializer.cjs');
+const ForwardedSocket = require('../utils/ForwardedSocket.cjs');
+const QueryParams = require('../utils/QueryParams.cjs');
+const PrivilegeMatrix = require('../utils/PrivilegeMatrix.cjs');
+const ColumnProfile = require('../utils/ColumnProfile.cjs');
+const RelationGraph = require('../utils/RelationGraph.cjs');
+const SqlLexer = require('../utils/SqlLexer.cjs');
+
+const MIGRATIONS_TABLE = 'sentryfrogg_migrations';
+
+// параметры с отдельными опциями профиля или защитой read_only
+const RESERVED_SETTINGS = new Set([
+  'application_name', 'search_path', 'statement_timeout', 'default_transaction_read_only', 'transaction_read_only',
+]);
+const SETTING_NAME = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i;
+const SEARCH_PATH_ITEM = /^(\$user|[a-z_][a-z0-9_$]*)$/i;
+
+const TABLE_PRIVILEGES = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'TRUNCATE', 'REFERENCES', 'TRIGGER'];
+const COLUMN_PRIVILEGES = ['SELECT', 'INSERT', 'UPDATE', 'REFERENCES'];
+const SEQUENCE_PRIVILEGES = ['USAGE', 'SELECT', 'UPDATE'];
+const SYSTEM_SCHEMA_FILTER = "NOT IN ('pg_catalog', 'information_schema') AND n.nspname !~ '^pg_(toast|temp_)'";
+
+function quoteIdent(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function qualify(schema, name) {
+  return `${quoteIdent(schema)}.${quoteIdent(name)}`;
+}
+
+async function* iterateRows(rows) {
+  yield* rows;
+}
+
+// пробелы и обратные слэши в строке options libpq экранируются
+function escapeSessionValue(value) {
+  return String(value).replace(/[\\\s]/g, '\\$&');
+}
 
 class PostgreSQLManager {
-  constructor(logger, _security, validation, profileService) {
+  constructor(logger, _security, validation, profileService, sshManager, savedQueryService) {
     this.logger = logger.child('postgres');
     this.validation = validation;
     this.profileService = profileService;
+    this.sshManager = sshManager;
+    this.savedQueryService = savedQueryService;
+    this.exportDir = path.resolve(process.env.SENTRYFROGG_EXPORT_DIR || path.join(os.tmpdir(), 'sentryfrogg-exports'));
     this.pools = new Map();
+    this.brokenClients = new WeakSet();
+    this.tunnels = new Map();
+    this.poolTunnels = new Map();
+    this.cursors = new Map();
+    this.running = new Map();
+    this.listeners = new Map();
+    this.typeCache = new Map();
+    this.history = new Map();
     this.stats = {
       queries: 0,
       pools: 0,
@@ -32,21 +96,92 @@ class PostgreSQLManager {
       case 'list_profiles':
         return this.listProfiles();
       case 'quick_query':
-        return this.executeQuery(profile_name, args.sql, args.limit, args.params);
+        return this.executeQuery(profile_name, args.sql, args.limit, args.params, {
+          paginate: args.paginate,
+          timeout_ms: args.timeout_ms,
+          query_id: args.query_id,
+          serialization: args.serialization,
+          bytea_encoding: args.bytea_encoding,
+          max_bytes: args.max_bytes,
+        });
+      case 'save_query':
+        return this.saveQuery(args);
+      case 'list_saved_queries':
+        return this.listSavedQueries();
+      case 'run_saved_query':
+        return this.runSavedQuery(profile_name, args);
+      case 'delete_saved_query':
+        return this.deleteSavedQuery(args);
+      case 'query_history':
+        return this.queryHistory(profile_name, args);
+      case 'cancel_query':
+        return this.cancelQuery(args.query_id, args.terminate);
+      case 'fetch_more':
+        return this.fetchMore(args.cursor, args.limit);
+      case 'close_cursor':
+        return this.closeCursorAction(args.cursor);
+      case 'listen':
+        return this.listen(profile_name, args);
+      case 'unlisten':
+        return this.unlisten(profile_name, args);
+      case 'poll_notifications':
+        return this.pollNotifications(profile_name, args);
+      case 'notify':
+        return this.notify(profile_name, args);
+      case 'transaction':
+        return this.runTransaction(profile_name, args.steps);
+      case 'explain_query':
+        return this.explainQuery(profile_name, args);
+      case 'export_query':
+        return this.exportQuery(profile_name, args);
+      case 'dump_schema':
+        return this.dumpSchema(profile_name, args);
+      case 'erd':
+        return this.erd(profile_name, args);
+      case 'schema_diff':
+        return this.schemaDiff(profile_name, args);
+      case 'migrate_status':
+        return this.migrateStatus(profile_name, args);
+      case 'migrate_up':
+        return this.migrateUp(profile_name, args);
+      case 'migrate_down':
+        return this.migrateDown(profile_name, args);
       case 'show_tables':
         return this.showTables(profile_name);
       case 'describe_table':
-        return this.describeTable(profile_name, args.table_name);
+        return this.describeTable(profile_name, args.table_name, args.schema);
       case 'sample_data':
         return this.sampleData(profile_name, args.table_name, args.limit);
+      case 'profile_table':
+        return this.profileTable(profile_name, args);
       case 'insert_data':
         return this.insertData(profile_name, args.table_name, args.data);
+      case 'upsert_data':
+        return this.upsertData(profile_name, args);
+      case 'bulk_insert':
+        return this.bulkInsert(profile_name, args);
+      case 'copy_data':
+        return this.copyData(profile_name, args);
       case 'update_data':
-        return this.updateData(profile_name, args.table_name, args.data, args.where);
+        return this.updateData(profile_name, args);
       case 'delete_data':
-        return this.deleteData(profile_name, args.table_name, args.where);
+        return this.deleteData(profile_name, args);
+      case 'activity':
+        return this.activity(profile_name, args);
+      case 'locks':
+        return this.locks(profile_name);
+      case 'terminate_backend':
+        return this.terminateBackend(profile_name, args);
+      case 'health_report':
+        return this.healthReport(profile_name);
+      case 'privileges':
+        return this.privileges(profile_name, args);
       case 'database_info':
         return this.databaseInfo(profile_name);
+      case 'pool_status':
+        return this.poolStatus(args.profile_name);
+      case 'reset_pool':
+        return this.resetPool(profile_name);
       default:
         throw new Error(`Unknown PostgreSQL action: ${action}`);
     }
@@ -171,9 +306,11 @@ class PostgreSQLManager {
     }
 
     Object.assign(finalProfile, sslSecrets);
+    finalProfile.options = await this.buildProfileOptions(name, params);
 
     await this.testConnection(finalProfile);
     await this.profileService.setProfile(name, finalProfile);
+    await this.closePool(name);
     this.stats.profiles_created += 1;
 
     return {
@@ -186,29 +323,265 @@ class PostgreSQLManager {
         username: finalProfile.username,
         database: finalProfile.database,
         ssl: finalProfile.ssl,
+        read_only: finalProfile.options.read_only === true,
+        timeout_ms: finalProfile.options.timeout_ms,
+        ssh_tunnel_profile: finalProfile.options.ssh_tunnel_profile,
+        redact_params: finalProfile.options.redact_params === true,
+        pool: this.describePoolSettings(finalProfile.options),
       },
     };
   }
 
+  async loadStoredOptions(name) {
+    if (!this.profileService.hasProfile(name)) {
+      return {};
+    }
+
+    try {
+      const stored = await this.profileService.getProfile(name, 'postgresql');
+      return stored.options || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async buildProfileOptions(name, params) {
+    const options = { ...(await this.loadStoredOptions(name)) };
+
+    const readOnly = this.validation.ensureOptionalBoolean(params.read_only, 'read_only');
+    if (readOnly !== undefined) {
+      options.read_only = readOnly;
+    }
+
+    const timeoutMs = this.validation.ensureOptionalTimeout(params.timeout_ms, 'timeout_ms');
+    if (timeoutMs !== undefined) {
+      options.timeout_ms = timeoutMs;
+    }
+
+    const redactParams = this.validation.ensureOptionalBoolean(params.redact_params, 'redact_params');
+    if (redactParams !== undefined) {
+      options.redact_params = redactParams;
+    }
+
+    const migrationsDir = this.validation.ensureOptionalString(params.migrations_dir, 'migrations_dir');
+    if (migrationsDir !== undefined) {
+      options.migrations_dir = path.resolve(migrationsDir);
+    }
+
+    const clearing = (key) => params[key] === '' || params[key] === null;
+    const poolSettings = {
+      pool_max: () => this.ensurePoolSize(params.pool_max),
+      connect_timeout_ms: () => this.validation.ensureOptionalTimeout(params.connect_timeout_ms, 'connect_timeout_ms'),
+      idle_timeout_ms: () => this.validation.ensureOptionalTimeout(params.idle_timeout_ms, 'idle_timeout_ms'),
+      application_name: () => this.validation.ensureOptionalString(params.application_name, 'application_name'),
+      search_path: () => this.normalizeSearchPath(params.search_path),
+      session_settings: () => this.normalizeSessionSettings(params.session_settings),
+    };
+    for (const [key, normalize] of Object.entries(poolSettings)) {
+      if (clearing(key)) {
+        delete options[key];
+        continue;
+      }
+      const value = normalize();
+      if (value !== undefined) {
+        options[key] = value;
+      }
+    }
+
+    if (params.ssh_tunnel_profile === '' || params.ssh_tunnel_profile === null) {
+      delete options.ssh_tunnel_profile;
+    } else if (params.ssh_tunnel_profile !== undefined) {
+      const tunnelProfile = this.validation.ensureString(params.ssh_tunnel_profile, 'ssh_tunnel_profile');
+      await this.profileService.getProfile(tunnelProfile, 'ssh');
+      options.ssh_tunnel_profile = tunnelProfile;
+    }
+
+    return options;
+  }
+
+  ensurePoolSize(value) {
+    const size = this.validation.ensureOptionalCount(value, 'pool_max');
+    if (size !== undefined && (size < 1 || size > Constants.LIMITS.MAX_POOL_SIZE)) {
+      throw new Error(`pool_max must be between 1 and ${Constants.LIMITS.MAX_POOL_SIZE}`);
+    }
+    return size;
+  }
+
+  normalizeSearchPath(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map((item) => String(item).trim().replace(/^"(\$user)"$/, '$1'))
+      .filter(Boolean);
+    if (items.length === 0) {
+      throw new Error('search_path must list at least one schema');
+    }
+    for (const item of items) {
+      if (!SEARCH_PATH_ITEM.test(item)) {
+        throw new Error(`search_path entry '${item}' must be a schema name or $user`);
+      }
+    }
+    return items;
+  }
+
+  normalizeSessionSettings(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('session_settings must be an object of setting name to value');
+    }
+
+    const settings = {};
+    for (const [name, setting] of Object.entries(value)) {
+      if (!SETTING_NAME.test(name)) {
+        throw new Error(`session_settings key '${name}' is not a valid setting name`);
+      }
+      if (RESERVED_SETTINGS.has(name.toLowerCase())) {
+        throw new Error(`session_settings cannot set '${name}'; use the dedicated profile option instead`);
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof setting) || String(setting).length === 0) {
+        throw new Error(`session_settings value for '${name}' must be a non-empty string, number or boolean`);
+      }
+      settings[name] = String(setting);
+    }
+    return settings;
+  }
+
+  describePoolSettings(options = {}) {
+    return {
+      max: options.pool_max ?? Constants.LIMITS.MAX_CONNECTIONS,
+      connect_timeout_ms: options.connect_timeout_ms ?? Constants.TIMEOUTS.CONNECTION_TIMEOUT,
+      idle_timeout_ms: options.idle_timeout_ms ?? Constants.TIMEOUTS.IDLE_TIMEOUT,
+      application_name: options.application_name ?? Constants.NETWORK.POSTGRES_APPLICATION_NAME,
+      search_path: options.search_path,
+      session_settings: options.session_settings,
+    };
+  }
+
+  async getProfileOptions(profileName) {
+    const profile = await this.profileService.getProfile(profileName, 'postgresql');
+    return profile.options || {};
+  }
+
+  async ensureWritable(profileName, operation) {
+    const options = await this.getProfileOptions(profileName);
+    if (options.read_only) {
+      throw new Error(`Profile '${profileName}' is read-only: ${operation} is not allowed`);
+    }
+  }
+
+  async ensureStatementAllowed(profileName, sql, classification = SqlLexer.classify(sql)) {
+    const options = await this.getProfileOptions(profileName);
+    if (options.read_only && (classification.kind === 'write' || classification.kind === 'ddl')) {
+      const offending = classification.statements.find((statement) => statement.kind === classification.kind);
+      throw new Error(`Profile '${profileName}' is read-only: only read statements are allowed (got ${offending.command})`);
+    }
+  }
+
+  // курсоры, EXPLAIN и выгрузка принимают ровно одно выражение
+  singleStatement(sql, action) {
+    const { statements } = SqlLexer.classify(sql);
+    if (statements.length !== 1) {
+      throw new Error(`${action} expects exactly one SQL statement, got ${statements.length}`);
+    }
+    return statements[0];
+  }
+
   async listProfiles() {
     const profiles = await this.profileService.listProfiles('postgresql');
     return { success: true, profiles };
   }
 
   buildPoolConfig(profile) {
+    const settings = this.describePoolSettings(profile.options);
     return {
       host: profile.host,
       port: profile.port,
       user: profile.username,
       password: profile.password,
       database: profile.database,
-      max: Constants.LIMITS.MAX_CONNECTIONS,
-      idleTimeoutMillis: Constants.TIMEOUTS.IDLE_TIMEOUT,
-      connectionTimeoutMillis: Constants.TIMEOUTS.CONNECTION_TIMEOUT,
+      max: settings.max,
+      idleTimeoutMillis: settings.idle_timeout_ms,
+      connectionTimeoutMillis: settings.connect_timeout_ms,
+      application_name: settings.application_name,
       ssl: this.buildSslConfig(profile),
+      options: this.buildSessionOptions(profile),
+      stream: this.buildTunnelStream(profile),
     };
   }
 
+  buildTunnelStream(profile) {
+    const tunnelProfile = profile.options?.ssh_tunnel_profile;
+    if (!tunnelProfile) {
+      return undefined;
+    }
+
+    // каждое соединение pg получает свой канал forwardOut внутри общего SSH-соединения
+    return () => new ForwardedSocket(async () => {
+      const tunnel = await this.getTunnel(tunnelProfile);
+      return tunnel.forward(profile.host, profile.port);
+    });
+  }
+
+  async getTunnel(sshProfile) {
+    if (!this.sshManager) {
+      throw new Error('SSH tunnels are not available: SSH manager is not configured');
+    }
+
+    const current = this.tunnels.get(sshProfile);
+    if (current) {
+      const tunnel = await current.catch(() => null);
+      if (tunnel && !tunnel.closed) {
+        return tunnel;
+      }
+    }
+
+    // после закрытия SSH-соединения туннель открывается заново при следующем подключении
+    const opening = this.sshManager.openTunnel(sshProfile);
+    this.tunnels.set(sshProfile, opening);
+    opening.catch(() => {
+      if (this.tunnels.get(sshProfile) === opening) {
+        this.tunnels.delete(sshProfile);
+      }
+    });
+    return opening;
+  }
+
+  async closeTunnel(sshProfile) {
+    const opening = this.tunnels.get(sshProfile);
+    if (!opening) {
+      return;
+    }
+
+    this.tunnels.delete(sshProfile);
+    const tunnel = await opening.catch(() => null);
+    if (tunnel && !tunnel.closed) {
+      tunnel.close();
+    }
+  }
+
+  buildSessionOptions(profile) {
+    const settings = Object.entries(profile.options?.session_settings ?? {})
+      .map(([name, value]) => `-c ${name}=${escapeSessionValue(value)}`);
+
+    if (profile.options?.read_only) {
+      settings.push('-c default_transaction_read_only=on');
+    }
+
+    if (Number.isInteger(profile.options?.timeout_ms)) {
+      settings.push(`-c statement_timeout=${profile.options.timeout_ms}`);
+    }
+
+    if (profile.options?.search_path) {
+      const schemas = profile.options.search_path.map((item) => (item === '$user' ? '"$user"' : item));
+      settings.push(`-c search_path=${schemas.join(',')}`);
+    }
+
+    return settings.length > 0 ? settings.join(' ') : undefined;
+  }
+
   normalizeSslSettings(params, baseConfig) {
     const directSsl = params.ssl;
     const baseSsl = baseConfig.ssl;
@@ -364,6 +737,9 @@ class PostgreSQLManager {
 
     const profile = await this.profileService.getProfile(profileName, 'postgresql');
     const pool = new Pool(this.buildPoolConfig(profile));
+    if (profile.options?.ssh_tunnel_profile) {
+      this.poolTunnels.set(profileName, profile.options.ssh_tunnel_profile);
+    }
 
     pool.on('error', (error) => {
       this.logger.warn('PostgreSQL pool error, recreating on next query', {
@@ -378,6 +754,104 @@ class PostgreSQLManager {
     return pool;
   }
 
+  async closePool(profileName) {
+    // слушатель подключается с теми же настройками профиля, поэтому закрывается вместе с пулом
+    await this.closeListener(profileName);
+    const pool = this.pools.get(profileName);
+    if (!pool) {
+      return;
+    }
+
+    await this.closeProfileCursors(profileName);
+    this.pools.delete(profileName);
+    this.typeCache.delete(profileName);
+    await pool.end();
+
+    // туннель живёт, пока его использует хотя бы один пул
+    const sshProfile = this.poolTunnels.get(profileName);
+    this.poolTunnels.delete(profileName);
+    if (sshProfile && ![...this.poolTunnels.values()].includes(sshProfile)) {
+      await this.closeTunnel(sshProfile);
+    }
+  }
+
+  async poolStatus(profileName) {
+    const names = profileName === undefined
+      ? [...this.pools.keys()].sort()
+      : [this.validation.ensureString(profileName, 'profile_name')];
+
+    const pools = [];
+    for (const name of names) {
+      const pool = this.pools.get(name);
+      const options = await this.getProfileOptions(name).catch(() => ({}));
+      pools.push({
+        profile_name: name,
+        active: Boolean(pool),
+        total: pool?.totalCount ?? 0,
+        idle: pool?.idleCount ?? 0,
+        waiting: pool?.waitingCount ?? 0,
+        cursors: [...this.cursors.values()].filter((entry) => entry.profileName === name).length,
+        running: [...this.running.values()].filter((entry) => entry.profileName === name).length,
+        listener: this.listeners.has(name),
+        ssh_tunnel_profile: this.poolTunnels.get(name),
+        settings: this.describePoolSettings(options),
+      });
+    }
+
+    return { success: true, pools };
+  }
+
+  async resetPool(profileName) {
+    const existed = this.pools.has(profileName);
+    const listening = this.listeners.has(profileName);
+    await this.closePool(profileName);
+    return {
+      success: true,
+      profile_name: profileName,
+      closed: existed,
+      listener_closed: listening,
+      message: existed
+        ? `Pool for '${profileName}' closed; the next query opens a new one with current profile settings`
+        : `Profile '${profileName}' has no open pool`,
+    };
+  }
+
+  async withClient(profileName, handler) {
+    const pool = await this.getPool(profileName);
+    const client = await pool.connect();
+
+    let result;
+    try {
+      result = await handler(client);
+    } catch (error) {
+      // клиент с неизвестным состоянием сессии не возвращаем в пул
+      client.release(error);
+      throw error;
+    }
+    await this.releaseClient(profileName, client);
+    return result;
+  }
+
+  // set_config() может снять default_transaction_read_only для всей сессии в обход классификатора,
+  // поэтому перед возвратом в пул read_only-профиль восстанавливает режим на сервере
+  async releaseClient(profileName, client) {
+    if (this.brokenClients.has(client)) {
+      this.brokenClients.delete(client);
+      client.release(true);
+      return;
+    }
+    const options = await this.getProfileOptions(profileName).catch(() => ({ read_only: true }));
+    if (options.read_only) {
+      try {
+        await client.query('SET SESSION CHARACTERISTICS AS TRANSACTION READ ONLY');
+      } catch (error) {
+        client.release(error);
+        return;
+      }
+    }
+    client.release();
+  }
+
   async testConnection(profile) {
     const pool = new Pool({ ...this.buildPoolConfig(profile), max: 1 });
 
@@ -387,146 +861,3264 @@ class PostgreSQLManager {
       client.release();
     } finally {
       await pool.end();
+      // проверочный пул не попадает в poolTunnels: туннель, не нужный другим пулам, закрываем сразу
+      const sshProfile = profile.options?.ssh_tunnel_profile;
+      if (sshProfile && ![...this.poolTunnels.values()].includes(sshProfile)) {
+        await this.closeTunnel(sshProfile);
+      }
+    }
+  }
+
+  async resolveQueryTimeout(profileName, requested) {
+    const profileTimeout = (await this.getProfileOptions(profileName)).timeout_ms;
+    const timeoutMs = this.validation.ensureOptionalTimeout(requested, 'timeout_ms')
+      ?? profileTimeout
+      ?? Constants.TIMEOUTS.QUERY_TIMEOUT;
+    return { timeoutMs, override: timeoutMs !== profileTimeout };
+  }
+
+  async runTracked(profileName, client, { queryId, sql, timeoutMs, override }, run) {
+    if (override) {
+      await client.query(`SET statement_timeout = ${timeoutMs}`);
+    }
+
+    const pid = client.processID;
+    this.running.set(queryId, {
+      profileName,
+      pid,
+      sql: sql.substring(0, Constants.LIMITS.LOG_SUBSTRING_LENGTH),
+      started_at: new Date().toISOString(),
+    });
+
+    // statement_timeout срабатывает на сервере; сторож добивает запрос, если сервер не ответил
+    let watchdog = null;
+    if (timeoutMs > 0) {
+      watchdog = setTimeout(() => {
+        this.logger.warn('Query exceeded timeout, cancelling backend', { profile: profileName, query_id: queryId, pid });
+        this.signalBackend(profileName, pid, false).catch((error) => {
+          this.logger.warn('Failed to cancel backend', { profile: profileName, pid, error: error.message });
+        });
+      }, timeoutMs + Constants.TIMEOUTS.QUERY_CANCEL_GRACE);
+      watchdog.unref?.();
+    }
+
+    try {
+      return await run();
+    } catch (error) {
+      if (error.code === '57014') {
+        throw new Error(`Query ${queryId} was cancelled (timeout ${timeoutMs} ms or cancel_query): ${error.message}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(watchdog);
+      this.running.delete(queryId);
+      if (override) {
+        // сбой RESET не должен подменять ошибку запроса; клиент с чужим таймаутом в пул не вернётся
+        await client.query('RESET statement_timeout').catch((error) => {
+          this.brokenClients.add(client);
+          this.logger.warn('Failed to reset statement_timeout', { profile: profileName, query_id: queryId, error: error.message });
+        });
+      }
     }
   }
 
-  decorateSelect(sql, limit) {
-    const trimmed = sql.trim();
-    if (/^select\s/i.test(trimmed) && !/limit\s+\d+/i.test(trimmed)) {
-      return `${trimmed} LIMIT ${limit}`;
+  async signalBackend(profileName, pid, terminate) {
+    const fn = terminate ? 'pg_terminate_backend' : 'pg_cancel_backend';
+    const pool = await this.getPool(profileName);
+    const result = await pool.query(`SELECT ${fn}($1) AS signalled`, [pid]);
+    return result.rows[0]?.signalled === true;
+  }
+
+  async cancelQuery(queryId, terminate) {
+    const id = this.validation.ensureString(queryId, 'query_id');
+    const entry = this.running.get(id);
+    if (!entry) {
+      const running = [...this.running.keys()];
+      throw new Error(`Query '${id}' is not running${running.length > 0 ? `; running: ${running.join(', ')}` : ''}`);
     }
-    return trimmed;
+
+    const useTerminate = this.validation.ensureOptionalBoolean(terminate, 'terminate') === true;
+    const signalled = await this.signalBackend(entry.profileName, entry.pid, useTerminate);
+    this.logger.info('Query cancellation requested', { profile: entry.profileName, query_id: id, pid: entry.pid, terminate: useTerminate });
+
+    return {
+      success: true,
+      query_id: id,
+      pid: entry.pid,
+      method: useTerminate ? 'pg_terminate_backend' : 'pg_cancel_backend',
+      signalled,
+    };
   }
 
-  async executeQuery(profileName, sql, limit, params) {
+  async executeQuery(profileName, sql, limit, params, options = {}) {
     const text = this.validation.ensureSql(sql);
     const safeLimit = this.validation.ensureLimit(limit);
-    const queryText = this.decorateSelect(text, safeLimit);
+    const classification = SqlLexer.classify(text);
     const values = Array.isArray(params) ? params : undefined;
+    const serialization = ResultSerializer.ensureOptions(options);
+    await this.ensureStatementAllowed(profileName, text, classification);
+
+    const queryId = this.validation.ensureOptionalString(options.query_id, 'query_id') ?? crypto.randomBytes(8).toString('hex');
+    if (this.running.has(queryId)) {
+      throw new Error(`Query id '${queryId}' is already running`);
+    }
+    const timeout = await this.resolveQueryTimeout(profileName, options.timeout_ms);
+    const historyEntry = { queryId, sql: text, values, savedQuery: options.saved_query };
+
+    if (this.validation.ensureOptionalBoolean(options.paginate, 'paginate')) {
+      const statement = this.singleStatement(text, 'paginate');
+      if (statement.kind !== 'read') {
+        throw new Error(`paginate supports only read queries, got ${statement.command}`);
+      }
+      return this.withHistory(profileName, historyEntry, () => (
+        this.openCursor(profileName, queryId, statement.text, values, safeLimit, timeout, serialization)
+      ));
+    }
+
+    // каждый SELECT/VALUES/TABLE без LIMIT оборачивается в подзапрос с LIMIT; +1 строка показывает усечение
+    const capped = SqlLexer.capRows(classification, safeLimit + 1);
+    const query = {
+      text: capped?.text ?? text,
+      rowCap: safeLimit,
+      capped: capped?.capped ?? [],
+      classification: {
+        kind: classification.kind,
+        statements: classification.statements.map(({ kind, command }) => ({ kind, command })),
+      },
+    };
+    return this.withHistory(profileName, historyEntry, () => this.runQuery(profileName, queryId, query, values, timeout, serialization));
+  }
 
+  async runQuery(profileName, queryId, query, values, timeout, serialization) {
+    const { text: queryText } = query;
     try {
-      const pool = await this.getPool(profileName);
-      const result = values ? await pool.query(queryText, values) : await pool.query(queryText);
+      const results = await this.withClient(profileName, async (client) => {
+        const queryResult = await this.runTracked(
+          profileName,
+          client,
+          { queryId, sql: queryText, ...timeout },
+          () => client.query(this.buildQueryConfig(queryText, values, serialization))
+        );
+        // несколько выражений без параметров pg возвращает массивом результатов
+        const serialized = [];
+        for (const [index, item] of (Array.isArray(queryResult) ? queryResult : [queryResult]).entries()) {
+          const { fields, rows } = await this.serializeResult(profileName, client, item, serialization);
+          const truncated = Boolean(query.capped[index]) && rows.length > query.rowCap;
+          serialized.push({
+            command: item.command,
+            rowCount: truncated ? query.rowCap : item.rowCount,
+            rows: truncated ? rows.slice(0, query.rowCap) : rows,
+            fields,
+            row_cap: query.capped[index] ? query.rowCap : null,
+            truncated,
+          });
+        }
+        return serialized;
+      });
       this.stats.queries += 1;
-      return {
+
+      const base = {
         success: true,
-        command: result.command,
-        rowCount: result.rowCount,
-        rows: result.rows,
-        fields: result.fields?.map((f) => ({ name: f.name, dataTypeId: f.dataTypeID })),
+        query_id: queryId,
+        serialization: serialization.mode,
+        classification: query.classification,
       };
+      if (results.length === 1) {
+        return { ...base, ...results[0] };
+      }
+      return { ...base, command: results[results.length - 1]?.command, results };
     } catch (error) {
       this.stats.errors += 1;
-      this.logger.error('Query failed', { profile: profileName, error: error.message });
+      this.logger.error('Query failed', { profile: profileName, query_id: queryId, error: error.message });
       throw error;
     }
   }
 
-  async showTables(profileName) {
-    const sql = `
-      SELECT schemaname AS schema,
-             tablename AS name,
-             tableowner AS owner,
-             hasindexes,
-             hasrules,
-             hastriggers
-      FROM pg_tables
-      WHERE schemaname NOT IN ('pg_catalog', 'information_schema')
-      ORDER BY schemaname, tablename
-    `;
-    return this.executeQuery(profileName, sql);
+  async withHistory(profileName, entry, run) {
+    const startedAt = new Date();
+    try {
+      const result = await run();
+      await this.recordHistory(profileName, entry, startedAt, result);
+      return result;
+    } catch (error) {
+      await this.recordHistory(profileName, entry, startedAt, null, error);
+      throw error;
+    }
   }
 
-  async describeTable(profileName, tableName) {
-    const name = this.validation.ensureTableName(tableName);
-    const pool = await this.getPool(profileName);
-    const result = await pool.query(
-      `SELECT column_name,
-              data_type,
-              is_nullable,
-              column_default,
-              character_maximum_length,
-              numeric_precision,
-              numeric_scale
-       FROM information_schema.columns
-       WHERE table_schema = 'public' AND table_name = $1
-       ORDER BY ordinal_position`,
-      [name]
-    );
+  async recordHistory(profileName, entry, startedAt, result, error) {
+    const options = await this.getProfileOptions(profileName).catch(() => ({}));
+    const sql = entry.sql.length > Constants.LIMITS.QUERY_HISTORY_SQL_LENGTH
+      ? `${entry.sql.slice(0, Constants.LIMITS.QUERY_HISTORY_SQL_LENGTH)}…`
+      : entry.sql;
 
-    this.stats.queries += 1;
-    return { success: true, table: name, columns: result.rows };
-  }
+    const record = {
+      query_id: entry.queryId,
+      started_at: startedAt.toISOString(),
+      duration_ms: Date.now() - startedAt.getTime(),
+      sql,
+      params: options.redact_params ? entry.values?.map(() => '[redacted]') : entry.values,
+      saved_query: entry.savedQuery,
+      status: error ? 'error' : 'ok',
+      command: result?.command,
+      rowCount: result?.rowCount,
+      error: error?.message,
+    };
 
-  async sampleData(profileName, tableName, limit) {
-    const name = this.validation.ensureTableName(tableName);
-    const safeLimit = this.validation.ensureLimit(limit, Constants.LIMITS.SAMPLE_DATA_LIMIT);
-    const pool = await this.getPool(profileName);
-    const sql = `SELECT * FROM ${name} LIMIT $1`;
-    const result = await pool.query(sql, [safeLimit]);
-    this.stats.queries += 1;
-    return { success: true, table: name, sample_size: result.rowCount, rows: result.rows };
+    if (!this.history.has(profileName)) {
+      this.history.set(profileName, []);
+    }
+    const entries = this.history.get(profileName);
+    entries.push(record);
+    if (entries.length > Constants.LIMITS.QUERY_HISTORY_SIZE) {
+      entries.shift();
+    }
   }
 
-  async insertData(profileName, tableName, data) {
-    const name = this.validation.ensureTableName(tableName);
-    const payload = this.validation.ensureDataObject(data);
+  async queryHistory(profileName, args = {}) {
+    await this.getProfileOptions(profileName);
+    const limit = this.validation.ensureLimit(args.limit, Constants.LIMITS.QUERY_HISTORY_SIZE);
+    const errorsOnly = this.validation.ensureOptionalBoolean(args.errors_only, 'errors_only') === true;
 
-    const columns = Object.keys(payload);
-    const values = Object.values(payload);
-    const placeholders = columns.map((_, index) => `$${index + 1}`);
-    const sql = `INSERT INTO ${name} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`;
+    const entries = (this.history.get(profileName) ?? [])
+      .filter((entry) => !errorsOnly || entry.status === 'error')
+      .reverse();
 
-    const pool = await this.getPool(profileName);
-    const result = await pool.query(sql, values);
-    this.stats.queries += 1;
-    return { success: true, table: name, row: result.rows[0], rowCount: result.rowCount };
+    return {
+      success: true,
+      profile_name: profileName,
+      total: entries.length,
+      entries: entries.slice(0, limit),
+    };
   }
 
-  async updateData(profileName, tableName, data, where) {
-    const name = this.validation.ensureTableName(tableName);
-    const payload = this.validation.ensureDataObject(data);
-    const whereClause = this.validation.ensureWhereClause(where);
+  async saveQuery(args = {}) {
+    const name = this.validation.ensureIdentifier(args.query_name, 'query_name');
+    const sql = this.validation.ensureSql(args.sql).trim();
+    const description = this.validation.ensureOptionalString(args.description, 'description');
+    const params = QueryParams.normalize(args.parameters ?? [], SqlLexer.countPlaceholders(sql));
 
-    const columns = Object.keys(payload);
-    const values = Object.values(payload);
-    const assignments = columns.map((col, index) => `${col} = $${index + 1}`);
-    const sql = `UPDATE ${name} SET ${assignments.join(', ')} WHERE ${whereClause} RETURNING *`;
+    const query = await this.savedQueryService.setQuery(name, { sql, description, params });
+    return { success: true, query };
+  }
 
-    const pool = await this.getPool(profileName);
-    const result = await pool.query(sql, values);
-    this.stats.queries += 1;
-    return { success: true, table: name, rows: result.rows, rowCount: result.rowCount };
+  async listSavedQueries() {
+    const queries = await this.savedQueryService.listQueries();
+    return { success: true, queries };
   }
 
-  async deleteData(profileName, tableName, where) {
-    const name = this.validation.ensureTableName(tableName);
-    const whereClause = this.validation.ensureWhereClause(where);
+  async deleteSavedQuery(args = {}) {
+    const name = this.validation.ensureString(args.query_name, 'query_name');
+    await this.savedQueryService.deleteQuery(name);
+    return { success: true, deleted: name };
+  }
 
-    const sql = `DELETE FROM ${name} WHERE ${whereClause}`;
-    const pool = await this.getPool(profileName);
-    const result = await pool.query(sql);
-    this.stats.queries += 1;
-    return { success: true, table: name, rowCount: result.rowCount };
+  async runSavedQuery(profileName, args = {}) {
+    const name = this.validation.ensureString(args.query_name, 'query_name');
+    const query = await this.savedQueryService.getQuery(name);
+    const values = QueryParams.bind(query.params, args.params ?? {});
+
+    const result = await this.executeQuery(profileName, query.sql, args.limit, values, {
+      paginate: args.paginate,
+      timeout_ms: args.timeout_ms,
+      query_id: args.query_id,
+      serialization: args.serialization,
+      bytea_encoding: args.bytea_encoding,
+      max_bytes: args.max_bytes,
+      saved_query: name,
+    });
+    return { ...result, saved_query: name };
   }
 
-  async databaseInfo(profileName) {
-    const sql = `SELECT current_database() AS database_name,
-                        current_user AS current_user,
-                        version() AS version,
-                        pg_size_pretty(pg_database_size(current_database())) AS size`;
-    return this.executeQuery(profileName, sql);
+  buildQueryConfig(text, values, serialization) {
+    // в режиме typed pg отдаёт текст как есть, разбор выполняет ResultSerializer
+    return serialization.mode === 'typed'
+      ? { text, values, types: ResultSerializer.TEXT_TYPES }
+      : { text, values };
   }
 
-  getStats() {
-    return { ...this.stats, activePools: this.pools.size };
+  async resolveTypes(profileName, client, oids) {
+    if (!this.typeCache.has(profileName)) {
+      this.typeCache.set(profileName, new Map());
+    }
+    const cache = this.typeCache.get(profileName);
+
+    // второй проход подгружает типы элементов массивов
+    let missing = [...new Set(oids)].filter((oid) => !cache.has(oid));
+    for (let pass = 0; pass < 2 && missing.length > 0; pass += 1) {
+      const result = await client.query(
+        `SELECT t.oid,
+                format_type(t.oid, NULL) AS name,
+                format_type(coalesce(nullif(t.typbasetype, 0), t.oid), NULL) AS base_name,
+                t.typcategory AS category,
+                nullif(t.typelem, 0) AS element,
+                e.typdelim AS delimiter
+         FROM pg_type t
+         LEFT JOIN pg_type e ON e.oid = t.typelem
+         WHERE t.oid = ANY($1::oid[])`,
+        [missing]
+      );
+      this.stats.queries += 1;
+      for (const row of result.rows) {
+        cache.set(row.oid, row);
+      }
+      missing = result.rows
+        .filter((row) => row.category === 'A' && row.element && !cache.has(row.element))
+        .map((row) => row.element);
+    }
+
+    return cache;
   }
 
-  async cleanup() {
-    for (const pool of this.pools.values()) {
-      await pool.end();
+  async serializeResult(profileName, client, result, serialization) {
+    if (!result.fields || result.fields.length === 0) {
+      return { fields: result.fields?.map((f) => ({ name: f.name, dataTypeId: f.dataTypeID })), rows: result.rows };
+    }
+
+    const types = await this.resolveTypes(profileName, client, result.fields.map((f) => f.dataTypeID));
+    const fields = result.fields.map((f) => ({ name: f.name, dataTypeId: f.dataTypeID, type: types.get(f.dataTypeID)?.name }));
+    const rows = serialization.mode === 'typed'
+      ? ResultSerializer.serializeRows(result.rows, result.fields, types, serialization)
+      : result.rows;
+    return { fields, rows };
+  }
+
+  async openCursor(profileName, queryId, text, values, pageSize, timeout, serialization) {
+    const open = [...this.cursors.values()].filter((entry) => entry.profileName === profileName).length;
+    if (open >= Constants.LIMITS.MAX_OPEN_CURSORS) {
+      throw new Error(`Profile '${profileName}' already has ${open} open cursors; fetch them to the end or close_cursor first`);
+    }
+
+    const pool = await this.getPool(profileName);
+    const client = await pool.connect();
+    const id = crypto.randomBytes(12).toString('hex');
+    const entry = {
+      id,
+      profileName,
+      client,
+      queryId,
+      timeoutMs: timeout.timeoutMs,
+      name: `sentryfrogg_cursor_${id}`,
+      pageSize,
+      serialization,
+      fetched: 0,
+      busy: false,
+      timer: null,
+    };
+
+    try {
+      await client.query('BEGIN');
+      if (timeout.override) {
+        await client.query(`SET LOCAL statement_timeout = ${timeout.timeoutMs}`);
+      }
+      await client.query(`DECLARE ${entry.name} NO SCROLL CURSOR FOR ${text}`, values);
+    } catch (error) {
+      client.release(error);
+      this.stats.errors += 1;
+      this.logger.error('Query failed', { profile: profileName, error: error.message });
+      throw error;
+    }
+
+    this.cursors.set(id, entry);
+    this.stats.queries += 1;
+    return this.fetchPage(entry, pageSize);
+  }
+
+  async fetchMore(cursorId, limit) {
+    const id = this.validation.ensureString(cursorId, 'cursor');
+    const entry = this.cursors.get(id);
+    if (!entry) {
+      throw new Error(`Cursor '${id}' not found or expired`);
+    }
+    if (entry.busy) {
+      throw new Error(`Cursor '${id}' is already fetching`);
+    }
+
+    const pageSize = limit === undefined || limit === null ? entry.pageSize : this.validation.ensureLimit(limit);
+    return this.fetchPage(entry, pageSize);
+  }
+
+  async fetchPage(entry, pageSize) {
+    clearTimeout(entry.timer);
+    entry.busy = true;
+
+    let result;
+    let page;
+    try {
+      // таймаут уже задан SET LOCAL в транзакции курсора, runTracked добавляет сторожа и cancel_query
+      const fetchSql = `FETCH ${pageSize} FROM ${entry.name}`;
+      result = await this.runTracked(
+        entry.profileName,
+        entry.client,
+        { queryId: entry.queryId, sql: fetchSql, timeoutMs: entry.timeoutMs, override: false },
+        () => entry.client.query(this.buildQueryConfig(fetchSql, undefined, entry.serialization))
+      );
+      page = await this.serializeResult(entry.profileName, entry.client, result, entry.serialization);
+    } catch (error) {
+      this.stats.errors += 1;
+      await this.closeCursor(entry.id, error);
+      throw error;
+    } finally {
+      entry.busy = false;
+    }
+
+    entry.fetched += result.rows.length;
+    const exhausted = result.rows.length < pageSize;
+    if (exhausted) {
+      await this.closeCursor(entry.id);
+    } else {
+      entry.timer = setTimeout(() => this.expireCursor(entry.id), Constants.TIMEOUTS.CURSOR_IDLE_TIMEOUT);
+      entry.timer.unref?.();
+    }
+
+    return {
+      success: true,
+      query_id: entry.queryId,
+      command: 'SELECT',
+      rowCount: result.rows.length,
+      rows: page.rows,
+      fields: page.fields,
+      serialization: entry.serialization.mode,
+      fetched_total: entry.fetched,
+      next_cursor: exhausted ? null : entry.id,
+    };
+  }
+
+  async expireCursor(id) {
+    const entry = this.cursors.get(id);
+    if (!entry || entry.busy) {
+      return;
+    }
+    this.logger.info('Idle cursor expired', { profile: entry.profileName, fetched: entry.fetched });
+    await this.closeCursor(id);
+  }
+
+  async closeCursor(id, error) {
+    const entry = this.cursors.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    this.cursors.delete(id);
+    clearTimeout(entry.timer);
+
+    if (error) {
+      entry.client.release(error);
+      return true;
+    }
+
+    try {
+      await entry.client.query('ROLLBACK');
+    } catch (rollbackError) {
+      entry.client.release(rollbackError);
+      return true;
+    }
+    await this.releaseClient(entry.profileName, entry.client);
+    return true;
+  }
+
+  async closeCursorAction(cursorId) {
+    const id = this.validation.ensureString(cursorId, 'cursor');
+    const closed = await this.closeCursor(id);
+    return { success: true, cursor: id, closed };
+  }
+
+  async closeProfileCursors(profileName) {
+    for (const entry of [...this.cursors.values()]) {
+      if (entry.profileName === profileName) {
+        await this.closeCursor(entry.id);
+      }
+    }
+  }
+
+  ensureChannel(channel) {
+    const name = this.validation.ensureString(channel, 'channel');
+    if (name.length > Constants.LIMITS.MAX_TABLE_NAME_LENGTH) {
+      throw new Error(`channel must be at most ${Constants.LIMITS.MAX_TABLE_NAME_LENGTH} characters`);
+    }
+    return name;
+  }
+
+  getListener(profileName) {
+    if (!this.listeners.has(profileName)) {
+      this.listeners.set(profileName, {
+        client: null,
+        connecting: null,
+        channels: new Set(),
+        events: [],
+        nextId: 1,
+        dropped: 0,
+        lost: null,
+        waiters: new Set(),
+      });
+    }
+    return this.listeners.get(profileName);
+  }
+
+  async connectListener(profileName, listener) {
+    if (listener.client) {
+      return listener.client;
+    }
+    // параллельные listen и poll_notifications ждут одно и то же подключение
+    if (!listener.connecting) {
+      listener.connecting = this.openListenerClient(profileName, listener).finally(() => {
+        listener.connecting = null;
+      });
+    }
+    return listener.connecting;
+  }
+
+  async openListenerClient(profileName, listener) {
+    // отдельное соединение вне пула: LISTEN действует только в пределах своей сессии
+    const profile = await this.profileService.getProfile(profileName, 'postgresql');
+    const { max, idleTimeoutMillis, ...config } = this.buildPoolConfig(profile);
+    const client = new Client(config);
+
+    client.on('notification', (message) => {
+      listener.events.push({
+        id: listener.nextId,
+        channel: message.channel,
+        payload: message.payload,
+        pid: message.processId,
+        received_at: new Date().toISOString(),
+      });
+      listener.nextId += 1;
+      if (listener.events.length > Constants.LIMITS.NOTIFY_BUFFER_SIZE) {
+        listener.events.shift();
+        listener.dropped += 1;
+      }
+      for (const wake of listener.waiters) {
+        wake();
+      }
+    });
+
+    const onLost = (error) => {
+      if (listener.client !== client) {
+        return;
+      }
+      listener.client = null;
+      listener.lost = { at: new Date().toISOString(), error: error?.message ?? 'connection closed' };
+      client.end().catch(() => {});
+      this.logger.warn('Notification listener disconnected', { profile: profileName, error: listener.lost.error });
+    };
+    client.on('error', onLost);
+    client.on('end', () => onLost(null));
+
+    try {
+      await client.connect();
+      for (const channel of listener.channels) {
+        await client.query(`LISTEN ${quoteIdent(channel)}`);
+      }
+      if (this.listeners.get(profileName) !== listener) {
+        throw new Error(`Listener for '${profileName}' was closed while connecting`);
+      }
+    } catch (error) {
+      await client.end().catch(() => {});
+      throw error;
+    }
+    listener.client = client;
+    this.stats.queries += listener.channels.size;
+    return client;
+  }
+
+  async listen(profileName, args) {
+    const channel = this.ensureChannel(args.channel);
+    const listener = this.getListener(profileName);
+    try {
+      const client = await this.connectListener(profileName, listener);
+      await client.query(`LISTEN ${quoteIdent(channel)}`);
+    } catch (error) {
+      // неудачный первый listen не оставляет ни записи, ни соединения
+      if (listener.channels.size === 0) {
+        await this.closeListener(profileName);
+      }
+      throw error;
+    }
+    listener.channels.add(channel);
+    this.stats.queries += 1;
+
+    return { success: true, channel, channels: [...listener.channels], cursor: listener.nextId - 1 };
+  }
+
+  async unlisten(profileName, args) {
+    const listener = this.listeners.get(profileName);
+    if (!listener) {
+      return { success: true, channels: [] };
+    }
+
+    if (args.channel === undefined || args.channel === null) {
+      await this.closeListener(profileName);
+      return { success: true, channels: [] };
+    }
+
+    const channel = this.ensureChannel(args.channel);
+    if (listener.client) {
+      await listener.client.query(`UNLISTEN ${quoteIdent(channel)}`);
+      this.stats.queries += 1;
+    }
+    listener.channels.delete(channel);
+    if (listener.channels.size === 0) {
+      await this.closeListener(profileName);
+    }
+
+    return { success: true, channel, channels: [...listener.channels] };
+  }
+
+  async pollNotifications(profileName, args) {
+    const listener = this.listeners.get(profileName);
+    if (!listener) {
+      throw new Error(`Profile '${profileName}' is not listening on any channel; call listen first`);
+    }
+
+    const cursor = this.validation.ensureOptionalCount(args.cursor, 'cursor') ?? 0;
+    const limit = this.validation.ensureLimit(args.limit);
+    const waitMs = Math.min(this.validation.ensureOptionalCount(args.wait_ms, 'wait_ms') ?? 0, Constants.TIMEOUTS.NOTIFY_MAX_WAIT);
+    const channel = args.channel === undefined || args.channel === null ? null : this.ensureChannel(args.channel);
+
+    let warning;
+    if (!listener.client && listener.channels.size > 0) {
+      await this.connectListener(profileName, listener);
+      warning = `Listener connection was lost at ${listener.lost.at} (${listener.lost.error}) and has been re-established; notifications sent in between were missed`;
+      listener.lost = null;
+    }
+
+    const pending = () => listener.events.filter((event) => event.id > cursor && (!channel || event.channel === channel));
+    if (waitMs > 0 && pending().length === 0) {
+      await new Promise((resolve) => {
+        const wake = (force = false) => {
+          if (force || pending().length > 0) {
+            clearTimeout(timer);
+            listener.waiters.delete(wake);
+            resolve();
+          }
+        };
+        const timer = setTimeout(() => {
+          listener.waiters.delete(wake);
+          resolve();
+        }, waitMs);
+        listener.waiters.add(wake);
+      });
+    }
+
+    const events = pending().slice(0, limit);
+    const oldest = listener.events[0]?.id ?? listener.nextId;
+    const nextCursor = events.length > 0 ? events[events.length - 1].id : Math.max(cursor, listener.nextId - 1);
+
+    return {
+      success: true,
+      channels: [...listener.channels],
+      events,
+      next_cursor: nextCursor,
+      has_more: pending().some((event) => event.id > nextCursor),
+      missed: Math.max(0, oldest - cursor - 1),
+      ...(warning ? { warning } : {}),
+    };
+  }
+
+  async notify(profileName, args) {
+    const channel = this.ensureChannel(args.channel);
+    const payload = args.payload === undefined || args.payload === null ? '' : String(args.payload);
+    if (Buffer.byteLength(payload) >= Constants.LIMITS.MAX_NOTIFY_PAYLOAD) {
+      throw new Error(`payload must be shorter than ${Constants.LIMITS.MAX_NOTIFY_PAYLOAD} bytes`);
+    }
+    await this.ensureWritable(profileName, 'notify');
+
+    const pool = await this.getPool(profileName);
+    await pool.query('SELECT pg_notify($1, $2)', [channel, payload]);
+    this.stats.queries += 1;
+    return { success: true, channel, payload_bytes: Buffer.byteLength(payload) };
+  }
+
+  async closeListener(profileName) {
+    const listener = this.listeners.get(profileName);
+    if (!listener) {
+      return;
+    }
+
+    this.listeners.delete(profileName);
+    for (const wake of listener.waiters) {
+      wake(true);
+    }
+    const { client } = listener;
+    listener.client = null;
+    if (client) {
+      await client.end().catch(() => {});
+    }
+  }
+
+  async runTransaction(profileName, steps) {
+    const plan = this.validation.ensureTransactionSteps(steps);
+    for (const step of plan) {
+      await this.ensureStatementAllowed(profileName, step.sql);
+    }
+
+    return this.withClient(profileName, async (client) => {
+      const results = [];
+      await client.query('BEGIN');
+
+      for (const [index, step] of plan.entries()) {
+        const number = index + 1;
+        const savepoint = step.savepoint ? `sentryfrogg_step_${number}` : null;
+
+        try {
+          if (savepoint) {
+            await client.query(`SAVEPOINT ${savepoint}`);
+          }
+          const result = await client.query(step.sql, step.params);
+          if (savepoint) {
+            await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+          }
+          this.stats.queries += 1;
+          results.push({
+            step: number,
+            success: true,
+            command: result.command,
+            rowCount: result.rowCount,
+            rows: result.rows,
+          });
+        } catch (error) {
+          this.stats.errors += 1;
+
+          // без отката к точке сохранения шаг не изолирован: откатываем всю транзакцию с исходной ошибкой шага
+          let restored = false;
+          if (savepoint) {
+            restored = await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`).then(() => true, (rollbackError) => {
+              this.logger.warn('Rollback to savepoint failed', { profile: profileName, step: number, error: rollbackError.message });
+              return false;
+            });
+          }
+          if (restored) {
+            results.push({ step: number, success: false, rolled_back_to_savepoint: true, error: error.message });
+            continue;
+          }
+
+          await this.rollbackQuietly(client, profileName, 'transaction');
+          this.logger.error('Transaction rolled back', { profile: profileName, step: number, error: error.message });
+          throw new Error(`Transaction rolled back at step ${number} of ${plan.length}: ${error.message}`);
+        }
+      }
+
+      try {
+        await client.query('COMMIT');
+      } catch (error) {
+        this.stats.errors += 1;
+        this.logger.error('Transaction commit failed', { profile: profileName, error: error.message });
+        throw new Error(`Transaction commit failed: ${error.message}`);
+      }
+
+      return {
+        success: true,
+        committed: true,
+        steps: results,
+        failed_steps: results.filter((item) => !item.success).map((item) => item.step),
+      };
+    });
+  }
+
+  async explainQuery(profileName, args) {
+    const { text } = this.singleStatement(this.validation.ensureSql(args.sql), 'explain');
+    const values = Array.isArray(args.params) ? args.params : undefined;
+    const analyze = this.validation.ensureOptionalBoolean(args.analyze, 'analyze') === true;
+    const buffers = this.validation.ensureOptionalBoolean(args.buffers, 'buffers') === true;
+
+    if (analyze) {
+      await this.ensureStatementAllowed(profileName, text);
+    }
+
+    const options = ['FORMAT JSON'];
+    if (analyze) {
+      options.push('ANALYZE');
+    }
+    if (buffers) {
+      options.push('BUFFERS');
+    }
+
+    // ANALYZE реально выполняет запрос, а SELECT тоже может писать через функции, поэтому откатываем всегда
+    const rollback = analyze;
+    const explainSql = `EXPLAIN (${options.join(', ')}) ${text}`;
+
+    try {
+      return await this.withClient(profileName, async (client) => {
+        let result;
+        if (rollback) {
+          await client.query('BEGIN');
+        }
+        try {
+          result = await client.query(explainSql, values);
+        } catch (error) {
+          if (rollback) {
+            // исходная ошибка важнее сбоя отката; клиент всё равно не вернётся в пул
+            await client.query('ROLLBACK').catch((rollbackError) => {
+              this.logger.warn('Rollback after failed EXPLAIN ANALYZE failed', { profile: profileName, error: rollbackError.message });
+            });
+          }
+          throw error;
+        }
+        if (rollback) {
+          await client.query('ROLLBACK');
+        }
+        this.stats.queries += 1;
+
+        const [explained] = result.rows[0]['QUERY PLAN'];
+        const relations = PlanSummary.seqScanRelations(explained);
+        const relationRows = new Map();
+        if (relations.length > 0) {
+          const sizes = await client.query(
+            `SELECT relname, MAX(reltuples)::bigint AS rows
+             FROM pg_class
+             WHERE relkind IN ('r', 'p', 'm') AND relname = ANY($1)
+             GROUP BY relname`,
+            [relations]
+          );
+          sizes.rows.forEach((row) => relationRows.set(row.relname, Number(row.rows)));
+        }
+
+        return {
+          success: true,
+          analyze,
+          rolled_back: rollback,
+          summary: PlanSummary.summarize(explained, relationRows),
+          plan: explained,
+        };
+      });
+    } catch (error) {
+      this.stats.errors += 1;
+      this.logger.error('Explain failed', { profile: profileName, error: error.message });
+      throw error;
+    }
+  }
+
+  defaultExportPath(profileName, format) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${profileName}-${stamp}.${format}`;
+  }
+
+  /**
+   * Путь файла выгрузки внутри каталога экспорта (SENTRYFROGG_EXPORT_DIR)
+   * @param {string} filePath - относительный путь или абсолютный путь внутри каталога
+   * @returns {Promise<string>} абсолютный путь; родительские каталоги созданы
+   */
+  async resolveExportPath(filePath) {
+    const inside = (root, target) => {
+      const relative = path.relative(root, target);
+      return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    const target = path.resolve(this.exportDir, filePath);
+    if (!inside(this.exportDir, target)) {
+      throw new Error(`file_path must be inside the export directory ${this.exportDir}`);
+    }
+
+    // символические ссылки не должны выводить запись за пределы каталога
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const root = await fs.realpath(this.exportDir);
+    const parent = await fs.realpath(path.dirname(target));
+    const existing = await fs.lstat(target).catch(() => null);
+    if ((parent !== root && !inside(root, parent)) || existing?.isSymbolicLink()) {
+      throw new Error(`file_path must be inside the export directory ${this.exportDir}`);
+    }
+    return path.join(parent, path.basename(target));
+  }
+
+  async exportQuery(profileName, args) {
+    const { text } = this.singleStatement(this.validation.ensureSql(args.sql), 'export');
+    const values = Array.isArray(args.params) ? args.params : undefined;
+    const format = DataFormats.ensureFormat(args.format);
+    const batchSize = this.validation.ensureLimit(args.batch_size, Constants.LIMITS.EXPORT_FETCH_SIZE);
+    const overwrite = this.validation.ensureOptionalBoolean(args.overwrite, 'overwrite') === true;
+    const requestedPath = this.validation.ensureOptionalString(args.file_path, 'file_path');
+    await this.ensureStatementAllowed(profileName, text);
+
+    const filePath = await this.resolveExportPath(requestedPath ?? this.defaultExportPath(profileName, format));
+    const handle = await fs.open(filePath, overwrite ? 'w' : 'wx');
+
+    let rowCount = 0;
+    let columns = [];
+    const preview = [];
+
+    try {
+      await this.withClient(profileName, async (client) => {
+        await client.query('BEGIN');
+        try {
+          await client.query(`DECLARE sentryfrogg_export NO SCROLL CURSOR FOR ${text}`, values);
+
+          for (let batch = null; !batch || batch.rows.length === batchSize;) {
+            batch = await client.query(`FETCH ${batchSize} FROM sentryfrogg_export`);
+            if (columns.length === 0) {
+              columns = batch.fields.map((field) => field.name);
+              await handle.write(DataFormats.header(format, columns));
+            }
+
+            let chunk = '';
+            for (const row of batch.rows) {
+              chunk += DataFormats.encodeRow(format, row, columns, rowCount === 0);
+              if (preview.length < Constants.LIMITS.EXPORT_PREVIEW_ROWS) {
+                preview.push(DataFormats.jsonRow(row, columns));
+              }
+              rowCount += 1;
+            }
+            if (chunk) {
+              await handle.write(chunk);
+            }
+          }
+
+          await handle.write(DataFormats.footer(format, rowCount));
+          await client.query('CLOSE sentryfrogg_export');
+          await client.query('COMMIT');
+        } catch (error) {
+          await this.rollbackQuietly(client, profileName, 'export');
+          throw error;
+        }
+      });
+      this.stats.queries += 1;
+    } catch (error) {
+      this.stats.errors += 1;
+      this.logger.error('Export failed', { profile: profileName, error: error.message });
+      await handle.close();
+      await fs.rm(filePath, { force: true });
+      throw error;
+    }
+
+    await handle.close();
+    const { size } = await fs.stat(filePath);
+
+    return {
+      success: true,
+      format,
+      file_path: filePath,
+      row_count: rowCount,
+      bytes: size,
+      columns,
+      preview,
+    };
+  }
+
+  async showTables(profileName) {
+    const sql = `
+      SELECT schemaname AS schema,
+             tablename AS name,
+             tableowner AS owner,
+             hasindexes,
+             hasrules,
+             hastriggers
+      FROM pg_tables
+      WHERE schemaname NOT IN ('pg_catalog', 'information_schema')
+      ORDER BY schemaname, tablename
+    `;
+    return this.executeQuery(profileName, sql);
+  }
+
+  async resolveTable(client, ref) {
+    const qualified = ref.schema ? `${quoteIdent(ref.schema)}.${quoteIdent(ref.table)}` : quoteIdent(ref.table);
+    const result = await client.query(
+      `SELECT c.oid,
+              n.nspname AS schema,
+              c.relname AS name,
+              c.relkind AS kind,
+              obj_description(c.oid, 'pg_class') AS comment,
+              GREATEST(c.reltuples, 0)::bigint AS estimated_rows,
+              pg_relation_size(c.oid) AS table_bytes,
+              pg_total_relation_size(c.oid) AS total_bytes,
+              pg_size_pretty(pg_total_relation_size(c.oid)) AS total_size
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE c.oid = to_regclass($1)`,
+      [qualified]
+    );
+
+    this.stats.queries += 1;
+    if (result.rowCount === 0) {
+      throw new Error(`Table '${ref.schema ? `${ref.schema}.${ref.table}` : ref.table}' not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  async describeTable(profileName, tableName, schema) {
+    const ref = this.validation.ensureTableReference(tableName, schema);
+
+    return this.withClient(profileName, async (client) => {
+      const table = await this.resolveTable(client, ref);
+
+      const columns = await client.query(
+        `SELECT column_name,
+                data_type,
+                is_nullable,
+                column_default,
+                character_maximum_length,
+                numeric_precision,
+                numeric_scale,
+                col_description($3::oid, ordinal_position::int) AS comment
+         FROM information_schema.columns
+         WHERE table_schema = $1 AND table_name = $2
+         ORDER BY ordinal_position`,
+        [table.schema, table.name, table.oid]
+      );
+
+      const constraints = await client.query(
+        `SELECT con.conname AS name,
+                con.contype AS type,
+                pg_get_constraintdef(con.oid) AS definition,
+                ARRAY(
+                  SELECT a.attname::text
+                  FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+                  JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+                  ORDER BY k.ord
+                ) AS columns
+         FROM pg_constraint con
+         WHERE con.conrelid = $1 AND con.contype IN ('p', 'u', 'c', 'x')
+         ORDER BY con.contype, con.conname`,
+        [table.oid]
+      );
+
+      const foreignKeys = await client.query(
+        `SELECT con.conname AS name,
+                sn.nspname AS source_schema,
+                sc.relname AS source_table,
+                ARRAY(
+                  SELECT a.attname::text
+                  FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+                  JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+                  ORDER BY k.ord
+                ) AS source_columns,
+                tn.nspname AS target_schema,
+                tc.relname AS target_table,
+                ARRAY(
+                  SELECT a.attname::text
+                  FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+                  JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+                  ORDER BY k.ord
+                ) AS target_columns,
+                pg_get_constraintdef(con.oid) AS definition,
+                con.conrelid = $1 AS outgoing,
+                con.confrelid = $1 AS incoming
+         FROM pg_constraint con
+         JOIN pg_class sc ON sc.oid = con.conrelid
+         JOIN pg_namespace sn ON sn.oid = sc.relnamespace
+         JOIN pg_class tc ON tc.oid = con.confrelid
+         JOIN pg_namespace tn ON tn.oid = tc.relnamespace
+         WHERE con.contype = 'f' AND (con.conrelid = $1 OR con.confrelid = $1)
+         ORDER BY con.conname`,
+        [table.oid]
+      );
+
+      const indexes = await client.query(
+        `SELECT i.relname AS name,
+                ix.indisprimary AS is_primary,
+                ix.indisunique AS is_unique,
+                pg_get_indexdef(ix.indexrelid) AS definition,
+                pg_size_pretty(pg_relation_size(ix.indexrelid)) AS size
+         FROM pg_index ix
+         JOIN pg_class i ON i.oid = ix.indexrelid
+         WHERE ix.indrelid = $1
+         ORDER BY i.relname`,
+        [table.oid]
+      );
+
+      const triggers = await client.query(
+        `SELECT t.tgname AS name,
+                t.tgenabled <> 'D' AS enabled,
+                pg_get_triggerdef(t.oid) AS definition
+         FROM pg_trigger t
+         WHERE t.tgrelid = $1 AND NOT t.tgisinternal
+         ORDER BY t.tgname`,
+        [table.oid]
+      );
+
+      this.stats.queries += 5;
+
+      const byType = (type) => constraints.rows
+        .filter((row) => row.type === type)
+        .map(({ type: _type, ...rest }) => rest);
+      const stripDirection = ({ outgoing: _outgoing, incoming: _incoming, ...rest }) => rest;
+
+      return {
+        success: true,
+        schema: table.schema,
+        table: table.name,
+        comment: table.comment,
+        estimated_rows: Number(table.estimated_rows),
+        size: {
+          table_bytes: Number(table.table_bytes),
+          total_bytes: Number(table.total_bytes),
+          total_pretty: table.total_size,
+        },
+        columns: columns.rows,
+        primary_key: byType('p')[0] || null,
+        unique_constraints: byType('u'),
+        check_constraints: byType('c'),
+        exclusion_constraints: byType('x'),
+        foreign_keys: {
+          outgoing: foreignKeys.rows.filter((row) => row.outgoing).map(stripDirection),
+          incoming: foreignKeys.rows.filter((row) => row.incoming).map(stripDirection),
+        },
+        indexes: indexes.rows,
+        triggers: triggers.rows,
+      };
+    });
+  }
+
+  async loadSchemaSnapshot(profileName, schema) {
+    return this.withClient(profileName, async (client) => {
+      const exists = await client.query('SELECT 1 FROM pg_namespace WHERE nspname = $1', [schema]);
+      if (exists.rowCount === 0) {
+        throw new Error(`Schema '${schema}' not found in profile '${profileName}'`);
+      }
+
+      const columns = await client.query(
+        `SELECT c.relname AS table_name,
+                a.attname AS column_name,
+                format_type(a.atttypid, a.atttypmod) AS data_type,
+                a.attnotnull AS not_null,
+                pg_get_expr(d.adbin, d.adrelid) AS default_value
+         FROM pg_class c
+         JOIN pg_namespace n ON n.oid = c.relnamespace
+         LEFT JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+         LEFT JOIN pg_attrdef d ON d.adrelid = c.oid AND d.adnum = a.attnum
+         WHERE n.nspname = $1 AND c.relkind IN ('r', 'p')
+         ORDER BY c.relname, a.attnum`,
+        [schema]
+      );
+
+      const indexes = await client.query(
+        `SELECT i.relname AS name,
+                t.relname AS table_name,
+                pg_get_indexdef(i.oid) AS definition
+         FROM pg_index x
+         JOIN pg_class i ON i.oid = x.indexrelid
+         JOIN pg_class t ON t.oid = x.indrelid
+         JOIN pg_namespace n ON n.oid = t.relnamespace
+         WHERE n.nspname = $1
+           AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = x.indexrelid AND con.contype IN ('p', 'u', 'x'))`,
+        [schema]
+      );
+
+      const constraints = await client.query(
+        `SELECT con.conname AS name,
+                t.relname AS table_name,
+                con.contype AS type,
+                pg_get_constraintdef(con.oid) AS definition
+         FROM pg_constraint con
+         JOIN pg_class t ON t.oid = con.conrelid
+         JOIN pg_namespace n ON n.oid = t.relnamespace
+         WHERE n.nspname = $1`,
+        [schema]
+      );
+
+      const views = await client.query(
+        `SELECT c.relname AS name,
+                c.relkind = 'm' AS materialized,
+                pg_get_viewdef(c.oid, true) AS definition
+         FROM pg_class c
+         JOIN pg_namespace n ON n.oid = c.relnamespace
+         WHERE n.nspname = $1 AND c.relkind IN ('v', 'm')`,
+        [schema]
+      );
+
+      const functions = await client.query(
+        `SELECT p.proname AS name,
+                p.prokind AS kind,
+                pg_get_function_identity_arguments(p.oid) AS arguments,
+                pg_get_functiondef(p.oid) AS definition
+         FROM pg_proc p
+         JOIN pg_namespace n ON n.oid = p.pronamespace
+         WHERE n.nspname = $1
+           AND p.prokind IN ('f', 'p')
+           AND NOT EXISTS (SELECT 1 FROM pg_depend dep WHERE dep.objid = p.oid AND dep.deptype = 'e')`,
+        [schema]
+      );
+
+      this.stats.queries += 6;
+      const strip = (text) => SchemaDiff.stripSchema(text, schema);
+
+      const snapshot = { tables: {}, indexes: {}, constraints: {}, views: {}, functions: {} };
+      for (const row of columns.rows) {
+        const table = snapshot.tables[row.table_name] ?? { columns: {} };
+        snapshot.tables[row.table_name] = table;
+        if (row.column_name) {
+          table.columns[row.column_name] = {
+            type: row.data_type,
+            not_null: row.not_null,
+            default: strip(row.default_value),
+          };
+        }
+      }
+      for (const row of indexes.rows) {
+        snapshot.indexes[row.name] = { table: row.table_name, definition: strip(row.definition) };
+      }
+      for (const row of constraints.rows) {
+        snapshot.constraints[`${row.table_name}.${row.name}`] = {
+          name: row.name,
+          table: row.table_name,
+          type: row.type,
+          definition: strip(row.definition),
+        };
+      }
+      for (const row of views.rows) {
+        snapshot.views[row.name] = { name: row.name, materialized: row.materialized, definition: strip(row.definition) };
+      }
+      for (const row of functions.rows) {
+        snapshot.functions[`${row.name}(${row.arguments})`] = {
+          name: row.name,
+          kind: row.kind,
+          arguments: row.arguments,
+          definition: strip(row.definition),
+        };
+      }
+
+      return snapshot;
+    });
+  }
+
+  async loadDumpCatalog(client, schemas, tableOids) {
+    const relations = await client.query(
+      `SELECT c.oid,
+              n.nspname AS schema,
+              c.relname AS name,
+              c.relkind AS kind,
+              c.relpersistence AS persistence,
+              CASE WHEN c.relkind = 'p' THEN pg_get_partkeydef(c.oid) END AS partition_key,
+              CASE WHEN c.relispartition THEN pg_get_expr(c.relpartbound, c.oid) END AS partition_bound,
+              (SELECT format('%I.%I', pn.nspname, pc.relname)
+                 FROM pg_inherits i
+                 JOIN pg_class pc ON pc.oid = i.inhparent
+                 JOIN pg_namespace pn ON pn.oid = pc.relnamespace
+                WHERE i.inhrelid = c.oid AND c.relispartition) AS partition_of,
+              CASE WHEN c.relkind IN ('v', 'm') THEN pg_get_viewdef(c.oid, true) END AS view_definition,
+              format_type(s.seqtypid, NULL) AS type,
+              s.seqincrement AS increment,
+              s.seqmin AS min,
+              s.seqmax AS max,
+              s.seqstart AS start,
+              s.seqcache AS cache,
+              s.seqcycle AS cycle,
+              (SELECT format('%I.%I.%I', tn.nspname, tc.relname, a.attname)
+                 FROM pg_depend d
+                 JOIN pg_class tc ON tc.oid = d.refobjid
+                 JOIN pg_namespace tn ON tn.oid = tc.relnamespace
+                 JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+                WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype = 'a') AS owned_by
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_sequence s ON s.seqrelid = c.oid
+       WHERE c.relkind IN ('r', 'p', 'v', 'm', 'S')
+         AND (n.nspname = ANY($1::text[])
+              OR c.oid = ANY($2::oid[])
+              OR (c.relkind = 'S' AND EXISTS (SELECT 1 FROM pg_depend d
+                                               WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid
+                                                 AND d.deptype = 'a' AND d.refobjid = ANY($2::oid[]))))
+         AND NOT EXISTS (SELECT 1 FROM pg_depend d
+                          WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype IN ('e', 'i'))
+       ORDER BY c.oid`,
+      [schemas, tableOids]
+    );
+
+    const oids = relations.rows.map((row) => row.oid);
+    const columns = await client.query(
+      `SELECT a.attrelid AS oid,
+              a.attname AS name,
+              a.atttypid AS type_oid,
+              format_type(a.atttypid, a.atttypmod) AS type,
+              a.attnotnull AS not_null,
+              a.attidentity AS identity,
+              a.attgenerated AS generated,
+              pg_get_expr(d.adbin, d.adrelid) AS default,
+              CASE WHEN a.attcollation <> t.typcollation
+                   THEN (SELECT format('%I.%I', cn.nspname, co.collname)
+                           FROM pg_collation co
+                           JOIN pg_namespace cn ON cn.oid = co.collnamespace
+                          WHERE co.oid = a.attcollation)
+              END AS collation
+       FROM pg_attribute a
+       JOIN pg_type t ON t.oid = a.atttypid
+       LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE a.attrelid = ANY($1::oid[]) AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY a.attrelid, a.attnum`,
+      [oids]
+    );
+
+    const enums = await client.query(
+      `SELECT n.nspname AS schema,
+              t.typname AS name,
+              array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS labels
+       FROM pg_type t
+       JOIN pg_namespace n ON n.oid = t.typnamespace
+       JOIN pg_enum e ON e.enumtypid = t.oid
+       WHERE (n.nspname = ANY($1::text[])
+              OR t.oid = ANY($2::oid[])
+              OR t.oid IN (SELECT typelem FROM pg_type WHERE oid = ANY($2::oid[])))
+         AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.classid = 'pg_type'::regclass AND d.objid = t.oid AND d.deptype = 'e')
+       GROUP BY t.oid, n.nspname, t.typname
+       ORDER BY t.oid`,
+      [schemas, [...new Set(columns.rows.map((row) => row.type_oid))]]
+    );
+
+    const functions = await client.query(
+      `SELECT p.oid,
+              pg_get_functiondef(p.oid) AS definition
+       FROM pg_proc p
+       JOIN pg_namespace n ON n.oid = p.pronamespace
+       WHERE n.nspname = ANY($1::text[])
+         AND p.prokind IN ('f', 'p')
+         AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e')
+       ORDER BY p.oid`,
+      [schemas]
+    );
+
+    const constraints = await client.query(
+      `SELECT format('%I.%I', n.nspname, c.relname) AS table,
+              con.conname AS name,
+              con.contype AS type,
+              pg_get_constraintdef(con.oid, true) AS definition
+       FROM pg_constraint con
+       JOIN pg_class c ON c.oid = con.conrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE con.conrelid = ANY($1::oid[])
+         AND con.contype IN ('p', 'u', 'c', 'x', 'f')
+         AND con.conislocal
+         AND con.conparentid = 0
+       ORDER BY con.conrelid, con.contype, con.conname`,
+      [oids]
+    );
+
+    const indexes = await client.query(
+      `SELECT pg_get_indexdef(x.indexrelid) AS definition
+       FROM pg_index x
+       WHERE x.indrelid = ANY($1::oid[])
+         AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = x.indexrelid AND con.contype IN ('p', 'u', 'x'))
+         AND NOT EXISTS (SELECT 1 FROM pg_inherits i WHERE i.inhrelid = x.indexrelid)
+       ORDER BY x.indrelid, x.indexrelid`,
+      [oids]
+    );
+
+    const triggers = await client.query(
+      `SELECT pg_get_triggerdef(t.oid, true) AS definition
+       FROM pg_trigger t
+       WHERE t.tgrelid = ANY($1::oid[])
+         AND NOT t.tgisinternal
+         AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.classid = 'pg_trigger'::regclass AND d.objid = t.oid AND d.deptype = 'P')
+       ORDER BY t.tgrelid, t.tgname`,
+      [oids]
+    );
+
+    const grants = await client.query(
+      `SELECT c.relkind::text AS kind,
+              format('%I.%I', n.nspname, c.relname) AS object,
+              CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE quote_ident(pg_get_userbyid(acl.grantee)) END AS grantee,
+              acl.privilege_type,
+              acl.is_grantable
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       CROSS JOIN LATERAL aclexplode(c.relacl) acl
+       WHERE c.oid = ANY($1::oid[]) AND acl.grantee <> c.relowner
+       UNION ALL
+       SELECT CASE p.prokind WHEN 'p' THEN 'procedure' ELSE 'function' END,
+              format('%I.%I(%s)', n.nspname, p.proname, pg_get_function_identity_arguments(p.oid)),
+              CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE quote_ident(pg_get_userbyid(acl.grantee)) END,
+              acl.privilege_type,
+              acl.is_grantable
+       FROM pg_proc p
+       JOIN pg_namespace n ON n.oid = p.pronamespace
+       CROSS JOIN LATERAL aclexplode(p.proacl) acl
+       WHERE p.oid = ANY($2::oid[]) AND acl.grantee <> p.proowner
+       UNION ALL
+       SELECT 'schema',
+              quote_ident(n.nspname),
+              CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE quote_ident(pg_get_userbyid(acl.grantee)) END,
+              acl.privilege_type,
+              acl.is_grantable
+       FROM pg_namespace n
+       CROSS JOIN LATERAL aclexplode(n.nspacl) acl
+       WHERE n.nspname = ANY($3::text[]) AND acl.grantee <> n.nspowner`,
+      [oids, functions.rows.map((row) => row.oid), schemas]
+    );
+    this.stats.queries += 8;
+
+    const columnsByTable = new Map();
+    for (const { oid, type_oid: typeOid, ...column } of columns.rows) {
+      if (!columnsByTable.has(oid)) {
+        columnsByTable.set(oid, []);
+      }
+      columnsByTable.get(oid).push(column);
+    }
+
+    return {
+      schemas,
+      relations: relations.rows.map((row) => ({ ...row, columns: columnsByTable.get(row.oid) ?? [] })),
+      enums: enums.rows,
+      functions: functions.rows,
+      constraints: constraints.rows,
+      indexes: indexes.rows,
+      triggers: triggers.rows,
+      grants: grants.rows,
+    };
+  }
+
+  async dumpSchema(profileName, args) {
+    const tables = args.tables === undefined || args.tables === null ? [] : args.tables;
+    if (!Array.isArray(tables)) {
+      throw new Error('tables must be an array of table names');
+    }
+    const refs = tables.map((name) => this.validation.ensureTableReference(name, args.schema));
+    const schemas = refs.length > 0
+      ? []
+      : this.validation.ensureIdentifierList(args.schemas ?? [args.schema ?? 'public'], 'Schema');
+    const filePath = this.validation.ensureOptionalString(args.file_path, 'file_path');
+    const overwrite = this.validation.ensureOptionalBoolean(args.overwrite, 'overwrite') === true;
+
+    const { ddl, counts } = await this.withClient(profileName, async (client) => {
+      // имена таблиц разрешаются до смены search_path
+      const resolved = [];
+      for (const ref of refs) {
+        resolved.push(await this.resolveTable(client, ref));
+      }
+      if (schemas.length > 0) {
+        const found = await client.query('SELECT nspname FROM pg_namespace WHERE nspname = ANY($1::text[])', [schemas]);
+        const missing = schemas.filter((schema) => !found.rows.some((row) => row.nspname === schema));
+        if (missing.length > 0) {
+          throw new Error(`Schema not found: ${missing.join(', ')}`);
+        }
+      }
+
+      // пустой search_path заставляет pg_get_*def квалифицировать все имена схемой
+      await client.query('BEGIN READ ONLY');
+      try {
+        await client.query("SET LOCAL search_path = ''");
+        const catalog = await this.loadDumpCatalog(client, schemas, resolved.map((table) => table.oid));
+        return SchemaDump.render(catalog);
+      } finally {
+        await client.query('ROLLBACK');
+      }
+    });
+
+    const result = {
+      success: true,
+      schemas,
+      tables: refs.map((ref) => (ref.schema ? `${ref.schema}.${ref.table}` : ref.table)),
+      counts,
+    };
+
+    if (!filePath) {
+      return { ...result, ddl };
+    }
+
+    const target = await this.resolveExportPath(filePath);
+    await fs.writeFile(target, ddl, { flag: overwrite ? 'w' : 'wx' });
+    return { ...result, file_path: target, bytes: Buffer.byteLength(ddl) };
+  }
+
+  async loadForeignKeyEdges(client, schema) {
+    const result = await client.query(
+      `SELECT con.conname AS name,
+              sn.nspname || '.' || sc.relname AS from,
+              ARRAY(SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+                    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.ord) AS from_columns,
+              tn.nspname || '.' || tc.relname AS to,
+              ARRAY(SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+                    JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.ord) AS to_columns,
+              CASE con.confdeltype WHEN 'a' THEN 'NO ACTION' WHEN 'r' THEN 'RESTRICT' WHEN 'c' THEN 'CASCADE'
+                                   WHEN 'n' THEN 'SET NULL' WHEN 'd' THEN 'SET DEFAULT' END AS on_delete,
+              CASE con.confupdtype WHEN 'a' THEN 'NO ACTION' WHEN 'r' THEN 'RESTRICT' WHEN 'c' THEN 'CASCADE'
+                                   WHEN 'n' THEN 'SET NULL' WHEN 'd' THEN 'SET DEFAULT' END AS on_update,
+              EXISTS (SELECT 1 FROM pg_attribute a
+                      WHERE a.attrelid = con.conrelid AND a.attnum = ANY(con.conkey) AND NOT a.attnotnull) AS nullable,
+              EXISTS (SELECT 1 FROM pg_index i
+                      WHERE i.indrelid = con.conrelid AND i.indisunique AND i.indpred IS NULL
+                        AND i.indnkeyatts = cardinality(con.conkey)
+                        AND (SELECT array_agg(k) FROM unnest(i.indkey::int2[]) WITH ORDINALITY AS u(k, ord)
+                             WHERE u.ord <= i.indnkeyatts) @> con.conkey) AS unique
+       FROM pg_constraint con
+       JOIN pg_class sc ON sc.oid = con.conrelid
+       JOIN pg_namespace sn ON sn.oid = sc.relnamespace
+       JOIN pg_class tc ON tc.oid = con.confrelid
+       JOIN pg_namespace tn ON tn.oid = tc.relnamespace
+       WHERE con.contype = 'f'
+         AND con.conparentid = 0
+         AND NOT sc.relispartition
+         AND ($1::text IS NULL OR sn.nspname = $1 OR tn.nspname = $1)
+       ORDER BY 2, 4, 1`,
+      [schema ?? null]
+    );
+    this.stats.queries += 1;
+    return result.rows;
+  }
+
+  async loadGraphNodes(client, schema, ids) {
+    const result = await client.query(
+      `SELECT n.nspname || '.' || c.relname AS id,
+              n.nspname AS schema,
+              c.relname AS name,
+              CASE c.relkind WHEN 'p' THEN 'partitioned table' WHEN 'f' THEN 'foreign table' ELSE 'table' END AS kind,
+              obj_description(c.oid, 'pg_class') AS comment,
+              coalesce(json_agg(json_build_object(
+                'name', a.attname,
+                'type', format_type(a.atttypid, a.atttypmod),
+                'nullable', NOT a.attnotnull,
+                'primary_key', coalesce(a.attnum = ANY(pk.conkey), false),
+                'foreign_key', EXISTS (SELECT 1 FROM pg_constraint fk
+                                       WHERE fk.conrelid = c.oid AND fk.contype = 'f' AND a.attnum = ANY(fk.conkey))
+              ) ORDER BY a.attnum) FILTER (WHERE a.attnum IS NOT NULL), '[]') AS columns
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+       LEFT JOIN pg_constraint pk ON pk.conrelid = c.oid AND pk.contype = 'p'
+       WHERE c.relkind IN ('r', 'p', 'f')
+         AND NOT c.relispartition
+         AND (n.nspname = $1 OR n.nspname || '.' || c.relname = ANY($2::text[]))
+       GROUP BY c.oid, n.nspname, c.relname, c.relkind
+       ORDER BY 1`,
+      [schema ?? null, ids]
+    );
+    this.stats.queries += 1;
+    return result.rows;
+  }
+
+  async erd(profileName, args = {}) {
+    const ref = args.table_name === undefined || args.table_name === null
+      ? undefined
+      : this.validation.ensureTableReference(args.table_name, args.schema);
+    const schema = ref ? undefined : this.validation.ensureOptionalString(args.schema, 'schema') ?? 'public';
+    const depth = this.validation.ensureOptionalCount(args.depth, 'depth') ?? 1;
+    if (depth > Constants.LIMITS.ERD_MAX_DEPTH) {
+      throw new Error(`depth must be between 0 and ${Constants.LIMITS.ERD_MAX_DEPTH}`);
+    }
+    const format = this.validation.ensureEnum(args.format ?? 'all', ['all', 'json', 'mermaid', 'dot'], 'format');
+    const includeColumns = this.validation.ensureOptionalBoolean(args.include_columns, 'include_columns') !== false;
+
+    const graph = await this.withClient(profileName, async (client) => {
+      const start = ref ? await this.resolveTable(client, ref) : undefined;
+      const edges = await this.loadForeignKeyEdges(client, schema);
+
+      let ids;
+      if (start) {
+        ids = RelationGraph.neighborhood(edges, `${start.schema}.${start.name}`, depth);
+      } else {
+        ids = new Set(edges.flatMap((edge) => [edge.from, edge.to]));
+      }
+      const nodes = await this.loadGraphNodes(client, schema, [...ids]);
+      const known = new Set(nodes.map((node) => node.id));
+
+      return {
+        start: start ? `${start.schema}.${start.name}` : undefined,
+        nodes: nodes.map((node) => ({
+          ...node,
+          comment: node.comment ?? undefined,
+          // в режиме схемы таблицы других схем показываются только как концы связей
+          external: schema !== undefined && node.schema !== schema ? true : undefined,
+          columns: includeColumns && !(schema !== undefined && node.schema !== schema) ? node.columns : undefined,
+        })),
+        edges: edges.filter((edge) => known.has(edge.from) && known.has(edge.to)),
+      };
+    });
+
+    const result = {
+      success: true,
+      schema,
+      table: graph.start,
+      depth: ref ? depth : undefined,
+      summary: { tables: graph.nodes.length, relationships: graph.edges.length },
+    };
+    if (format === 'all' || format === 'json') {
+      result.nodes = graph.nodes;
+      result.edges = graph.edges;
+    }
+    if (format === 'all' || format === 'mermaid') {
+      result.mermaid = RelationGraph.mermaid(graph);
+    }
+    if (format === 'all' || format === 'dot') {
+      result.dot = RelationGraph.dot(graph);
+    }
+    return result;
+  }
+
+  async schemaDiff(profileName, args) {
+    const targetProfile = this.validation.ensureOptionalString(args.target_profile, 'target_profile') ?? profileName;
+    const schema = this.validation.ensureIdentifier(args.schema ?? 'public', 'Schema name');
+    const targetSchema = this.validation.ensureIdentifier(args.target_schema ?? schema, 'Target schema name');
+    if (targetProfile === profileName && targetSchema === schema) {
+      throw new Error('schema_diff needs a different target_profile or target_schema');
+    }
+
+    const from = await this.loadSchemaSnapshot(profileName, schema);
+    const to = await this.loadSchemaSnapshot(targetProfile, targetSchema);
+    const diff = SchemaDiff.compare(from, to);
+
+    const response = {
+      success: true,
+      from: { profile: profileName, schema },
+      to: { profile: targetProfile, schema: targetSchema },
+      ...diff,
+    };
+
+    if (this.validation.ensureOptionalBoolean(args.generate_ddl, 'generate_ddl')) {
+      response.migration_sql = SchemaDiff.toMigration(diff, from, to, schema);
+    }
+
+    return response;
+  }
+
+  async resolveMigrationsDir(profileName, override) {
+    const directory = this.validation.ensureOptionalString(override, 'migrations_dir')
+      ?? (await this.getProfileOptions(profileName)).migrations_dir;
+    if (!directory) {
+      throw new Error('migrations_dir is not configured: pass it or store it with setup_profile');
+    }
+    return path.resolve(directory);
+  }
+
+  async loadAppliedMigrations(client) {
+    const exists = await client.query(`SELECT to_regclass('${MIGRATIONS_TABLE}') IS NOT NULL AS present`);
+    if (!exists.rows[0].present) {
+      return [];
+    }
+    const result = await client.query(
+      `SELECT version, name, checksum, applied_at, execution_ms FROM ${MIGRATIONS_TABLE} ORDER BY applied_at, version`
+    );
+    return result.rows;
+  }
+
+  buildMigrationPlan(files, applied) {
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const fileVersions = new Set(files.map((file) => file.version));
+    const currentVersion = applied
+      .map((row) => row.version)
+      .sort(MigrationFiles.compareVersions)
+      .pop() ?? null;
+
+    const items = files.map((migration) => {
+      const record = appliedByVersion.get(migration.version);
+      let status = 'pending';
+      if (record) {
+        status = record.checksum === migration.up.checksum ? 'applied' : 'changed';
+      } else if (currentVersion !== null && MigrationFiles.compareVersions(migration.version, currentVersion) < 0) {
+        status = 'out_of_order';
+      }
+      return { migration, record, status };
+    });
+
+    const versionsWith = (status) => items.filter((item) => item.status === status).map((item) => item.migration.version);
+
+    return {
+      items,
+      currentVersion,
+      changed: versionsWith('changed'),
+      outOfOrder: versionsWith('out_of_order'),
+      missing: applied.filter((row) => !fileVersions.has(row.version)).map((row) => row.version),
+    };
+  }
+
+  async withMigrationLock(profileName, handler) {
+    return this.withClient(profileName, async (client) => {
+      const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [MIGRATIONS_TABLE]);
+      if (!lock.rows[0].locked) {
+        throw new Error('Another migration run holds the migration lock');
+      }
+      try {
+        await client.query(
+          `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+             version text PRIMARY KEY,
+             name text NOT NULL,
+             checksum text NOT NULL,
+             applied_at timestamptz NOT NULL DEFAULT now(),
+             execution_ms integer NOT NULL
+           )`
+        );
+        return await handler(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATIONS_TABLE]);
+      }
+    });
+  }
+
+  async migrateStatus(profileName, args) {
+    const directory = await this.resolveMigrationsDir(profileName, args.migrations_dir);
+    const files = await MigrationFiles.load(directory);
+    const applied = await this.withClient(profileName, (client) => this.loadAppliedMigrations(client));
+    const plan = this.buildMigrationPlan(files, applied);
+    this.stats.queries += 1;
+
+    return {
+      success: true,
+      directory,
+      current_version: plan.currentVersion,
+      pending: plan.items.filter((item) => item.status === 'pending' || item.status === 'out_of_order').length,
+      changed: plan.changed,
+      out_of_order: plan.outOfOrder,
+      missing_files: plan.missing,
+      migrations: plan.items.map(({ migration, record, status }) => ({
+        version: migration.version,
+        name: migration.name,
+        status,
+        file: migration.up.file,
+        has_down: Boolean(migration.down),
+        applied_at: record?.applied_at ?? null,
+      })),
+    };
+  }
+
+  async runMigrationStep(client, sql, record) {
+    const started = Date.now();
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record(Date.now() - started);
+      await client.query('COMMIT');
+      this.stats.queries += 1;
+      return Date.now() - started;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.stats.errors += 1;
+      throw error;
+    }
+  }
+
+  ensureTargetVersion(value) {
+    const version = this.validation.ensureOptionalString(value, 'target_version');
+    return version ? MigrationFiles.ensureVersion(version, 'target_version') : version;
+  }
+
+  async migrateUp(profileName, args) {
+    await this.ensureWritable(profileName, 'migrate_up');
+    const targetVersion = this.ensureTargetVersion(args.target_version);
+    const directory = await this.resolveMigrationsDir(profileName, args.migrations_dir);
+    const files = await MigrationFiles.load(directory);
+    const allowOutOfOrder = this.validation.ensureOptionalBoolean(args.allow_out_of_order, 'allow_out_of_order') === true;
+
+    return this.withMigrationLock(profileName, async (client) => {
+      const plan = this.buildMigrationPlan(files, await this.loadAppliedMigrations(client));
+      if (plan.changed.length > 0) {
+        throw new Error(`Applied migrations were edited after applying (checksum mismatch): ${plan.changed.join(', ')}`);
+      }
+      if (plan.outOfOrder.length > 0 && !allowOutOfOrder) {
+        throw new Error(`Pending migrations are older than current version ${plan.currentVersion}: ${plan.outOfOrder.join(', ')}; pass allow_out_of_order to apply them`);
+      }
+
+      const pending = plan.items
+        .filter((item) => item.status === 'pending' || item.status === 'out_of_order')
+        .filter((item) => !targetVersion || MigrationFiles.compareVersions(item.migration.version, targetVersion) <= 0)
+        .map((item) => item.migration);
+
+      const applied = [];
+      for (const migration of pending) {
+        try {
+          const executionMs = await this.runMigrationStep(client, migration.up.sql, (elapsed) => client.query(
+            `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+            [migration.version, migration.name, migration.up.checksum, elapsed]
+          ));
+          applied.push({ version: migration.version, name: migration.name, execution_ms: executionMs });
+          this.logger.info('Migration applied', { profile: profileName, version: migration.version });
+        } catch (error) {
+          this.logger.error('Migration failed', { profile: profileName, version: migration.version, error: error.message });
+          return {
+            success: false,
+            applied,
+            failed: { version: migration.version, name: migration.name, file: migration.up.file, error: error.message },
+          };
+        }
+      }
+
+      return {
+        success: true,
+        applied,
+        current_version: applied.length > 0 ? applied[applied.length - 1].version : plan.currentVersion,
+        missing_files: plan.missing,
+      };
+    });
+  }
+
+  async migrateDown(profileName, args) {
+    await this.ensureWritable(profileName, 'migrate_down');
+    const targetVersion = this.ensureTargetVersion(args.target_version);
+    const directory = await this.resolveMigrationsDir(profileName, args.migrations_dir);
+    const files = await MigrationFiles.load(directory);
+    const count = targetVersion ? undefined : this.validation.ensureLimit(args.count, 1);
+    const filesByVersion = new Map(files.map((migration) => [migration.version, migration]));
+
+    return this.withMigrationLock(profileName, async (client) => {
+      const applied = (await this.loadAppliedMigrations(client))
+        .sort((a, b) => MigrationFiles.compareVersions(b.version, a.version));
+      const selected = targetVersion
+        ? applied.filter((row) => MigrationFiles.compareVersions(row.version, targetVersion) > 0)
+        : applied.slice(0, count);
+
+      for (const row of selected) {
+        const migration = filesByVersion.get(row.version);
+        if (!migration?.down) {
+          throw new Error(`Migration ${row.version} has no down file; nothing was reverted`);
+        }
+        if (migration.up.checksum !== row.checksum) {
+          throw new Error(`Migration ${row.version} was edited after applying (checksum mismatch); nothing was reverted`);
+        }
+      }
+
+      const reverted = [];
+      for (const row of selected) {
+        const migration = filesByVersion.get(row.version);
+        try {
+          const executionMs = await this.runMigrationStep(client, migration.down.sql, () => client.query(
+            `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+            [row.version]
+          ));
+          reverted.push({ version: row.version, name: row.name, execution_ms: executionMs });
+          this.logger.info('Migration reverted', { profile: profileName, version: row.version });
+        } catch (error) {
+          this.logger.error('Migration revert failed', { profile: profileName, version: row.version, error: error.message });
+          return {
+            success: false,
+            reverted,
+            failed: { version: row.version, name: row.name, file: migration.down.file, error: error.message },
+          };
+        }
+      }
+
+      const remaining = applied.filter((row) => !reverted.some((item) => item.version === row.version));
+      return {
+        success: true,
+        reverted,
+        current_version: remaining[0]?.version ?? null,
+      };
+    });
+  }
+
+  async sampleData(profileName, tableName, limit) {
+    const name = this.validation.ensureTableName(tableName);
+    const safeLimit = this.validation.ensureLimit(limit, Constants.LIMITS.SAMPLE_DATA_LIMIT);
+    const pool = await this.getPool(profileName);
+    const sql = `SELECT * FROM ${name} LIMIT $1`;
+    const result = await pool.query(sql, [safeLimit]);
+    this.stats.queries += 1;
+    return { success: true, table: name, sample_size: result.rowCount, rows: result.rows };
+  }
+
+  ensureProfileCount(value, label, fallback) {
+    const count = this.validation.ensureOptionalCount(value, label) ?? fallback;
+    if (count < 1 || count > 100) {
+      throw new Error(`${label} must be between 1 and 100`);
+    }
+    return count;
+  }
+
+  async loadProfileColumns(client, table, names) {
+    // min()/max() есть не у каждого сортируемого типа (boolean, uuid в старых версиях),
+    // поэтому ищем сам агрегат: точное совпадение, полиморфный вариант или неявное приведение
+    // (у varchar их два, text и bpchar, а min() выбирает предпочтительный text)
+    const result = await client.query(
+      `WITH min_aggregates AS (
+         SELECT p.proargtypes[0] AS input
+         FROM pg_aggregate ag
+         JOIN pg_proc p ON p.oid = ag.aggfnoid
+         WHERE p.proname = 'min' AND p.pronamespace = 'pg_catalog'::regnamespace AND p.pronargs = 1
+       )
+       SELECT a.attname AS name,
+              format_type(a.atttypid, a.atttypmod) AS type,
+              format_type(bt.oid, NULL) AS base_type,
+              t.typcategory AS category,
+              t.typdelim AS delimiter,
+              NOT a.attnotnull AS nullable,
+              EXISTS (SELECT 1 FROM min_aggregates m
+                      WHERE m.input = bt.oid
+                         OR (m.input = 'anyenum'::regtype AND bt.typtype = 'e')
+                         OR (m.input = 'anyarray'::regtype AND bt.typcategory = 'A'
+                             AND EXISTS (SELECT 1 FROM pg_opclass oc JOIN pg_am am ON am.oid = oc.opcmethod
+                                          WHERE am.amname = 'btree' AND oc.opcdefault AND oc.opcintype = bt.typelem)))
+              OR EXISTS (SELECT 1 FROM min_aggregates m
+                         JOIN pg_cast c ON c.castsource = bt.oid AND c.casttarget = m.input
+                         WHERE c.castcontext = 'i') AS has_min_max
+       FROM pg_attribute a
+       JOIN pg_type t ON t.oid = a.atttypid
+       JOIN pg_type bt ON bt.oid = coalesce(nullif(t.typbasetype, 0), t.oid)
+       WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY a.attnum`,
+      [table.oid]
+    );
+    this.stats.queries += 1;
+
+    if (names.length === 0) {
+      return result.rows;
+    }
+    const missing = names.filter((name) => !result.rows.some((column) => column.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Column(s) not found in ${table.schema}.${table.name}: ${missing.join(', ')}`);
+    }
+    return result.rows.filter((column) => names.includes(column.name));
+  }
+
+  async profileFromStats(client, table, columns, top) {
+    const stats = await client.query(
+      `SELECT attname AS name,
+              null_frac,
+              n_distinct,
+              avg_width,
+              most_common_vals::text AS most_common_vals,
+              most_common_freqs,
+              histogram_bounds::text AS histogram_bounds
+       FROM pg_stats
+       WHERE schemaname = $1 AND tablename = $2 AND inherited = $3`,
+      [table.schema, table.name, table.kind === 'p']
+    );
+    this.stats.queries += 1;
+
+    const byName = new Map(stats.rows.map((row) => [row.name, row]));
+    return columns.map((column) => (
+      ColumnProfile.fromStats(column, byName.get(column.name), Number(table.estimated_rows), top)
+    ));
+  }
+
+  async profileFromSample(client, table, columns, { top, buckets, percent, seed }) {
+    const relation = qualify(table.schema, table.name);
+    const sample = (select) => (
+      `(SELECT ${select} FROM ${relation} TABLESAMPLE SYSTEM (${percent}) REPEATABLE (${seed})
+        LIMIT ${Constants.LIMITS.PROFILE_MAX_SAMPLE_ROWS}) s`
+    );
+
+    const selects = ['count(*)::float8 AS sampled'];
+    columns.forEach((column, index) => {
+      const ref = quoteIdent(column.name);
+      selects.push(`count(${ref})::float8 AS non_null_${index}`);
+      if (column.has_min_max) {
+        selects.push(`min(${ref})::text AS min_${index}`, `max(${ref})::text AS max_${index}`);
+      }
+      if (ColumnProfile.isText(column)) {
+        selects.push(
+          `min(length(${ref}::text)) AS len_min_${index}`,
+          `avg(length(${ref}::text))::float8 AS len_avg_${index}`,
+          `max(length(${ref}::text)) AS len_max_${index}`,
+          `percentile_cont(ARRAY[${ColumnProfile.LENGTH_PERCENTILES.join(', ')}]::float8[])
+             WITHIN GROUP (ORDER BY length(${ref}::text)::float8) AS len_pct_${index}`
+        );
+      }
+    });
+    const aggregates = (await client.query(`SELECT ${selects.join(', ')} FROM ${sample('*')}`)).rows[0];
+    this.stats.queries += 1;
+
+    const profiles = [];
+    for (const [index, column] of columns.entries()) {
+      const ref = quoteIdent(column.name);
+      const values = await client.query(
+        `WITH v AS (
+           SELECT ${ref}::text AS value, count(*)::float8 AS n
+           FROM ${sample(ref)}
+           WHERE ${ref} IS NOT NULL
+           GROUP BY 1
+         )
+         SELECT (SELECT count(*) FROM v)::float8 AS distinct,
+                (SELECT count(*) FROM v WHERE n = 1)::float8 AS singletons,
+                coalesce((SELECT json_agg(json_build_object('value', value, 'count', n) ORDER BY n DESC, value)
+                          FROM (SELECT value, n FROM v ORDER BY n DESC, value LIMIT $1) common), '[]') AS common`,
+        [top]
+      );
+      this.stats.queries += 1;
+
+      const nonNull = aggregates[`non_null_${index}`];
+      const columnAggregates = {
+        sampled: aggregates.sampled,
+        non_null: nonNull,
+        min: aggregates[`min_${index}`] ?? null,
+        max: aggregates[`max_${index}`] ?? null,
+        ...values.rows[0],
+      };
+
+      if (ColumnProfile.isText(column) && nonNull > 0) {
+        const percentiles = aggregates[`len_pct_${index}`];
+        columnAggregates.length = {
+          min: aggregates[`len_min_${index}`],
+          avg: Number(aggregates[`len_avg_${index}`].toFixed(2)),
+          max: aggregates[`len_max_${index}`],
+          ...Object.fromEntries(ColumnProfile.LENGTH_PERCENTILES.map((p, i) => [`p${p * 100}`, percentiles[i]])),
+        };
+      }
+
+      const min = Number(columnAggregates.min);
+      const max = Number(columnAggregates.max);
+      if (ColumnProfile.isNumeric(column) && Number.isFinite(min) && Number.isFinite(max) && min < max) {
+        const histogram = await client.query(
+          `SELECT least(width_bucket(${ref}::float8, $1, $2, $3), $3) AS bucket, count(*)::float8 AS count
+           FROM ${sample(ref)}
+           WHERE ${ref} IS NOT NULL AND ${ref}::float8 <> 'NaN'::float8
+           GROUP BY 1
+           ORDER BY 1`,
+          [min, max, buckets]
+        );
+        this.stats.queries += 1;
+        columnAggregates.histogram = ColumnProfile.widthHistogram(min, max, buckets, histogram.rows, nonNull);
+      }
+
+      profiles.push(ColumnProfile.fromSample(column, columnAggregates, Number(table.estimated_rows)));
+    }
+
+    return { sampled_rows: aggregates.sampled, columns: profiles };
+  }
+
+  async profileTable(profileName, args = {}) {
+    const ref = this.validation.ensureTableReference(args.table_name, args.schema);
+    const names = args.columns === undefined || args.columns === null
+      ? []
+      : this.validation.ensureIdentifierList(args.columns, 'Column');
+    const top = this.ensureProfileCount(args.top, 'top', Constants.LIMITS.PROFILE_TOP_VALUES);
+    const buckets = this.ensureProfileCount(args.buckets, 'buckets', Constants.LIMITS.PROFILE_HISTOGRAM_BUCKETS);
+    const sampled = this.validation.ensureOptionalBoolean(args.sample, 'sample') === true
+      || (args.sample_percent !== undefined && args.sample_percent !== null);
+
+    let requestedPercent;
+    if (args.sample_percent !== undefined && args.sample_percent !== null) {
+      requestedPercent = Number(args.sample_percent);
+      if (!Number.isFinite(requestedPercent) || requestedPercent <= 0 || requestedPercent > 100) {
+        throw new Error('sample_percent must be a number in (0, 100]');
+      }
+    }
+
+    return this.withClient(profileName, async (client) => {
+      const table = await this.resolveTable(client, ref);
+      if (!['r', 'p', 'm'].includes(table.kind)) {
+        throw new Error(`${table.schema}.${table.name} is not a table or materialized view`);
+      }
+      const columns = await this.loadProfileColumns(client, table, names);
+      const analyzed = await client.query(
+        `SELECT greatest(last_analyze, last_autoanalyze) AS analyzed_at
+         FROM pg_stat_all_tables WHERE relid = $1`,
+        [table.oid]
+      );
+      this.stats.queries += 1;
+
+      const result = {
+        success: true,
+        table: `${table.schema}.${table.name}`,
+        estimated_rows: Number(table.estimated_rows),
+        analyzed_at: analyzed.rows[0]?.analyzed_at ?? null,
+        source: sampled ? 'sample' : 'pg_stats',
+      };
+
+      if (!sampled) {
+        const profiles = await this.profileFromStats(client, table, columns, top);
+        if (profiles.some((profile) => profile.analyzed === false)) {
+          result.hint = 'Some columns have no pg_stats entry; run ANALYZE or call profile_table with sample:true';
+        }
+        return { ...result, columns: profiles };
+      }
+
+      // без свежей статистики reltuples может быть -1 или 0 — тогда читается вся таблица
+      const estimated = Number(table.estimated_rows);
+      const percent = requestedPercent ?? (estimated > 0
+        ? Math.min(100, Math.max(0.01, (Constants.LIMITS.PROFILE_SAMPLE_ROWS / estimated) * 100))
+        : 100);
+      const seed = crypto.randomInt(1, 2147483647);
+
+      // REPEATABLE READ и общий seed дают всем запросам одну и ту же выборку
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      try {
+        const sample = await this.profileFromSample(client, table, columns, { top, buckets, percent, seed });
+        return { ...result, sample_percent: Number(percent.toFixed(4)), ...sample };
+      } finally {
+        await client.query('ROLLBACK');
+      }
+    });
+  }
+
+  async insertData(profileName, tableName, data) {
+    const name = this.validation.ensureTableName(tableName);
+    const payload = this.validation.ensureDataObject(data);
+    await this.ensureWritable(profileName, 'insert_data');
+
+    const columns = Object.keys(payload);
+    const values = Object.values(payload);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+    const sql = `INSERT INTO ${name} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`;
+
+    const pool = await this.getPool(profileName);
+    const result = await pool.query(sql, values);
+    this.stats.queries += 1;
+    return { success: true, table: name, row: result.rows[0], rowCount: result.rowCount };
+  }
+
+  buildConflictTarget(args, required) {
+    const hasColumns = args.conflict_columns !== undefined && args.conflict_columns !== null;
+    const hasConstraint = args.conflict_constraint !== undefined && args.conflict_constraint !== null;
+    if (hasColumns && hasConstraint) {
+      throw new Error('Provide either conflict_columns or conflict_constraint, not both');
+    }
+    if (hasConstraint) {
+      const constraint = this.validation.ensureIdentifier(args.conflict_constraint, 'Constraint name');
+      return { sql: `ON CONSTRAINT ${quoteIdent(constraint)}`, columns: [], constraint };
+    }
+    if (hasColumns) {
+      const columns = this.validation.ensureIdentifierList(args.conflict_columns, 'Conflict column');
+      return { sql: `(${columns.map(quoteIdent).join(', ')})`, columns };
+    }
+    if (required) {
+      throw new Error('conflict_columns or conflict_constraint is required unless do_nothing is true');
+    }
+    return { sql: '', columns: [] };
+  }
+
+  async upsertData(profileName, args) {
+    const ref = this.validation.ensureTableReference(args.table_name, args.schema);
+    const records = Array.isArray(args.data) ? args.data : [args.data];
+    if (records.length === 0) {
+      throw new Error('data must be an object or a non-empty array of objects');
+    }
+    records.forEach((record) => this.validation.ensureDataObject(record));
+
+    const doNothing = this.validation.ensureOptionalBoolean(args.do_nothing, 'do_nothing') ?? false;
+    const conflict = this.buildConflictTarget(args, !doNothing);
+    const columns = this.validation.ensureIdentifierList(
+      [...new Set(records.flatMap((record) => Object.keys(record)))],
+      'Column'
+    );
+
+    let action = 'DO NOTHING';
+    if (!doNothing) {
+      const updateColumns = args.update_columns === undefined || args.update_columns === null
+        ? columns.filter((name) => !conflict.columns.includes(name))
+        : this.validation.ensureIdentifierList(args.update_columns, 'Update column');
+      const unknown = updateColumns.filter((name) => !columns.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`update_columns must be present in data: ${unknown.join(', ')}`);
+      }
+      if (updateColumns.length === 0) {
+        throw new Error('No columns left to update; pass update_columns or do_nothing: true');
+      }
+      action = `DO UPDATE SET ${updateColumns.map((name) => `${quoteIdent(name)} = EXCLUDED.${quoteIdent(name)}`).join(', ')}`;
+    }
+    const parameterCount = records.reduce((sum, record) => sum + columns.filter((name) => name in record).length, 0);
+    if (parameterCount > Constants.LIMITS.MAX_BIND_PARAMETERS) {
+      throw new Error(
+        `upsert_data needs ${parameterCount} bind parameters, more than the ${Constants.LIMITS.MAX_BIND_PARAMETERS} PostgreSQL allows; `
+        + 'split data into smaller calls or use bulk_insert with on_conflict'
+      );
+    }
+    await this.ensureWritable(profileName, 'upsert_data');
+
+    // отсутствующие в записи колонки получают DEFAULT, а не NULL
+    const values = [];
+    const placeholders = [];
+    const tuples = records.map((record) => {
+      const refs = {};
+      const cells = columns.map((name) => {
+        if (!(name in record)) {
+          return 'DEFAULT';
+        }
+        values.push(record[name]);
+        refs[name] = `$${values.length}`;
+        return refs[name];
+      });
+      placeholders.push(refs);
+      return `(${cells.join(', ')})`;
+    });
+
+    const target = ref.schema ? qualify(ref.schema, ref.table) : quoteIdent(ref.table);
+    const onConflict = ['ON CONFLICT', conflict.sql, action].filter(Boolean).join(' ');
+    const insertSql = `INSERT INTO ${target} (${columns.map(quoteIdent).join(', ')}) VALUES ${tuples.join(', ')} `
+      + `${onConflict} RETURNING *, (xmax = 0) AS sentryfrogg_inserted`;
+
+    const result = await this.withClient(profileName, async (client) => {
+      const table = await this.resolveTable(client, ref);
+      const key = await this.loadUpsertKey(client, table.oid, conflict);
+      // порядок RETURNING не гарантирован, а пропущенные строки не возвращаются:
+      // входные записи сопоставляются с результатом по ключу конфликта, приведённому к тексту на сервере
+      const matchable = key.length > 0 && records.every((record) => key.every((column) => (
+        record[column.name] !== undefined && record[column.name] !== null
+      )));
+      if (!matchable) {
+        return { key: null, rows: (await client.query(insertSql, values)).rows };
+      }
+
+      const keyArray = (alias) => `ARRAY[${key.map((column) => `(${alias}.${quoteIdent(column.name)})::text`).join(', ')}]`;
+      const inputs = placeholders.map((refs, index) => (
+        `(${index + 1}, ARRAY[${key.map((column) => `(${refs[column.name]}::${column.type})::text`).join(', ')}])`
+      ));
+      const sql = `WITH upserted AS (${insertSql}),
+        input (ord, key) AS (VALUES ${inputs.join(', ')})
+        SELECT i.ord AS sentryfrogg_ord, u.*
+        FROM input i
+        LEFT JOIN upserted u
+          ON ${keyArray('u')} = i.key
+         AND i.ord = (SELECT min(j.ord) FROM input j WHERE j.key = i.key)
+        ORDER BY i.ord`;
+      return { key: key.map((column) => column.name), rows: (await client.query(sql, values)).rows };
+    });
+    this.stats.queries += 1;
+
+    const rows = result.rows.map(({ sentryfrogg_ord: ord, sentryfrogg_inserted: inserted, ...row }) => {
+      const entry = ord === undefined ? {} : { index: ord - 1 };
+      if (inserted === null) {
+        return { ...entry, action: 'skipped', row: null };
+      }
+      return { ...entry, action: inserted ? 'inserted' : 'updated', row };
+    });
+    const inserted = rows.filter((entry) => entry.action === 'inserted').length;
+    const updated = rows.filter((entry) => entry.action === 'updated').length;
+
+    return {
+      success: true,
+      table: ref.schema ? `${ref.schema}.${ref.table}` : ref.table,
+      matched_by: result.key,
+      inserted,
+      updated,
+      skipped: records.length - inserted - updated,
+      rows,
+    };
+  }
+
+  /**
+   * Колонки ключа конфликта с типами: conflict_columns, колонки conflict_constraint или первичный ключ для DO NOTHING
+   */
+  async loadUpsertKey(client, oid, conflict) {
+    const result = conflict.columns.length > 0
+      ? await client.query(
+        `SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type
+         FROM unnest($2::text[]) WITH ORDINALITY AS k(name, ord)
+         JOIN pg_attribute a ON a.attrelid = $1 AND a.attname = k.name AND NOT a.attisdropped
+         ORDER BY k.ord`,
+        [oid, conflict.columns]
+      )
+      : await client.query(
+        `SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type
+         FROM pg_constraint c
+         CROSS JOIN LATERAL unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+         JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+         WHERE c.conrelid = $1 AND (CASE WHEN $2::text IS NULL THEN c.contype = 'p' ELSE c.conname = $2 END)
+         ORDER BY k.ord`,
+        [oid, conflict.constraint ?? null]
+      );
+    this.stats.queries += 1;
+    return result.rows;
+  }
+
+  openBulkSource(args) {
+    if (args.rows !== undefined && args.file_path !== undefined) {
+      throw new Error('Provide either rows or file_path, not both');
+    }
+
+    if (args.rows !== undefined) {
+      if (!Array.isArray(args.rows) || args.rows.length === 0) {
+        throw new Error('rows must be a non-empty array');
+      }
+      return iterateRows(args.rows);
+    }
+
+    const filePath = path.resolve(this.validation.ensureString(args.file_path, 'file_path'));
+    const format = (args.format ?? path.extname(filePath).replace(/^\./, '')).toLowerCase();
+    const header = this.validation.ensureOptionalBoolean(args.header, 'header') ?? true;
+    return DataFormats.readRecords(filePath, format, { header });
+  }
+
+  buildBulkMapper(args) {
+    const columns = args.columns === undefined
+      ? undefined
+      : this.validation.ensureIdentifierList(args.columns, 'Column');
+    const columnMap = this.validation.ensureColumnMap(args.column_map);
+    // без columns набор колонок задаёт первая запись; ключи вне набора отклоняются, а не отбрасываются
+    let known = columns ? new Set(columns) : null;
+
+    return (record, index) => {
+      let entries;
+      if (Array.isArray(record)) {
+        if (!columns) {
+          throw new Error('columns must be provided when records are arrays (e.g. CSV without header)');
+        }
+        entries = columns.map((name, position) => [name, record[position] ?? null]);
+      } else if (typeof record === 'object' && record !== null) {
+        entries = Object.entries(record).map(([key, value]) => [columnMap[key] ?? key, value]);
+      } else {
+        throw new Error(`Record ${index + 1} must be an object or an array`);
+      }
+
+      const mapped = Object.fromEntries(entries);
+      known = known ?? new Set(Object.keys(mapped));
+      const unknown = Object.keys(mapped).filter((name) => !known.has(name));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Record ${index + 1} has keys outside the column list: ${unknown.join(', ')}; `
+          + (columns ? 'add them to columns' : 'pass columns listing every target column')
+        );
+      }
+      return Object.fromEntries([...known].map((name) => [name, mapped[name] ?? null]));
+    };
+  }
+
+  async copyBatch(client, table, columns, batch) {
+    const payload = batch.map((row) => DataFormats.encodeRow('csv', row, columns, false)).join('');
+    const columnList = columns.map(quoteIdent).join(', ');
+    await pipeline(
+      Readable.from([payload]),
+      client.query(copyFrom(`COPY ${table} (${columnList}) FROM STDIN WITH (FORMAT csv)`))
+    );
+  }
+
+  async bulkInsert(profileName, args) {
+    const ref = this.validation.ensureTableReference(args.table_name, args.schema);
+    const batchSize = this.validation.ensureLimit(args.batch_size, Constants.LIMITS.BULK_BATCH_SIZE);
+    const onConflict = this.validation.ensureEnum(args.on_conflict ?? 'error', ['error', 'skip', 'update'], 'on_conflict');
+    const conflictColumns = onConflict === 'update'
+      ? this.validation.ensureIdentifierList(args.conflict_columns, 'Conflict column')
+      : [];
+    await this.ensureWritable(profileName, 'bulk_insert');
+
+    const source = this.openBulkSource(args);
+    const mapRecord = this.buildBulkMapper(args);
+    const totals = { inserted: 0, updated: 0, skipped: 0, failed: 0, batches: 0 };
+    let firstError = null;
+
+    try {
+      await this.withClient(profileName, async (client) => {
+        const table = await this.resolveTable(client, ref);
+        const target = qualify(table.schema, table.name);
+        let columns = null;
+        let insertSql = null;
+
+        const flush = async (batch) => {
+          totals.batches += 1;
+          await client.query('SAVEPOINT sentryfrogg_bulk_batch');
+          try {
+            await this.copyBatch(client, 'sentryfrogg_bulk', columns, batch);
+            const result = await client.query(insertSql);
+            const inserted = onConflict === 'update'
+              ? result.rows.filter((row) => row.inserted).length
+              : result.rowCount;
+            const updated = onConflict === 'update' ? result.rowCount - inserted : 0;
+            totals.inserted += inserted;
+            totals.updated += updated;
+            totals.skipped += batch.length - inserted - updated;
+            await client.query('TRUNCATE sentryfrogg_bulk');
+            await client.query('RELEASE SAVEPOINT sentryfrogg_bulk_batch');
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT sentryfrogg_bulk_batch');
+            totals.failed += batch.length;
+            this.stats.errors += 1;
+            firstError = firstError ?? { batch: totals.batches, message: error.message };
+          }
+          this.stats.queries += 1;
+        };
+
+        await client.query('BEGIN');
+        try {
+          let batch = [];
+          let index = 0;
+          for await (const record of source) {
+            const row = mapRecord(record, index);
+            index += 1;
+
+            if (!columns) {
+              columns = this.validation.ensureIdentifierList(Object.keys(row), 'Column');
+              const columnList = columns.map(quoteIdent).join(', ');
+              await client.query(
+                `CREATE TEMP TABLE sentryfrogg_bulk ON COMMIT DROP AS SELECT ${columnList} FROM ${target} WITH NO DATA`
+              );
+              insertSql = this.buildBulkInsertSql(target, columns, onConflict, conflictColumns);
+            }
+
+            batch.push(row);
+            if (batch.length >= batchSize) {
+              await flush(batch);
+              batch = [];
+            }
+          }
+
+          if (batch.length > 0) {
+            await flush(batch);
+          }
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+      });
+    } catch (error) {
+      this.stats.errors += 1;
+      this.logger.error('Bulk insert failed', { profile: profileName, error: error.message });
+      throw error;
+    }
+
+    return {
+      success: totals.failed === 0,
+      table: ref.schema ? `${ref.schema}.${ref.table}` : ref.table,
+      on_conflict: onConflict,
+      ...totals,
+      first_error: firstError,
+    };
+  }
+
+  buildBulkInsertSql(target, columns, onConflict, conflictColumns) {
+    const columnList = columns.map(quoteIdent).join(', ');
+    const base = `INSERT INTO ${target} (${columnList}) SELECT ${columnList} FROM sentryfrogg_bulk`;
+
+    if (onConflict === 'skip') {
+      return `${base} ON CONFLICT DO NOTHING`;
+    }
+
+    if (onConflict === 'update') {
+      const updates = columns
+        .filter((name) => !conflictColumns.includes(name))
+        .map((name) => `${quoteIdent(name)} = EXCLUDED.${quoteIdent(name)}`);
+      const action = updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+      return `${base} ON CONFLICT (${conflictColumns.map(quoteIdent).join(', ')}) ${action} RETURNING (xmax = 0) AS inserted`;
+    }
+
+    return base;
+  }
+
+  async loadCopyColumns(client, oid) {
+    const columns = await client.query(
+      `SELECT a.attname AS name,
+              format_type(a.atttypid, a.atttypmod) AS type,
+              a.attnotnull AS not_null,
+              a.attgenerated <> '' AS generated,
+              CASE WHEN a.attcollation <> t.typcollation
+                   THEN (SELECT format('%I.%I', cn.nspname, co.collname)
+                           FROM pg_collation co
+                           JOIN pg_namespace cn ON cn.oid = co.collnamespace
+                          WHERE co.oid = a.attcollation)
+              END AS collation
+       FROM pg_attribute a
+       JOIN pg_type t ON t.oid = a.atttypid
+       WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY a.attnum`,
+      [oid]
+    );
+    const primaryKey = await client.query(
+      `SELECT pg_get_constraintdef(c.oid) AS definition,
+              array_agg(a.attname::text ORDER BY k.ord) AS columns
+       FROM pg_constraint c
+       CROSS JOIN LATERAL unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+       WHERE c.conrelid = $1 AND c.contype = 'p'
+       GROUP BY c.oid`,
+      [oid]
+    );
+    this.stats.queries += 2;
+    return { columns: columns.rows, primaryKey: primaryKey.rows[0] ?? null };
+  }
+
+  // типы колонок результата запроса определяются на источнике: oid типов принадлежат его каталогу
+  async describeResultColumns(client, fields) {
+    const result = await client.query(
+      `SELECT format_type(f.type_oid, NULLIF(f.typmod, -1)) AS type
+       FROM unnest($1::oid[], $2::int[]) WITH ORDINALITY AS f(type_oid, typmod, ord)
+       ORDER BY f.ord`,
+      [fields.map((field) => field.dataTypeID), fields.map((field) => field.dataTypeModifier)]
+    );
+    this.stats.queries += 1;
+    return fields.map((field, index) => ({ name: field.name, type: result.rows[index].type, not_null: false }));
+  }
+
+  async prepareCopyTarget(client, ref, { createTable, columns, definition }) {
+    const qualifiedRef = ref.schema ? qualify(ref.schema, ref.table) : quoteIdent(ref.table);
+    const existing = await client.query('SELECT to_regclass($1)::oid AS oid', [qualifiedRef]);
+    let created = false;
+    if (!existing.rows[0].oid) {
+      if (!createTable) {
+        throw new Error(`Target table '${ref.schema ? `${ref.schema}.${ref.table}` : ref.table}' not found; pass create_table: true to create it`);
+      }
+      const schema = ref.schema ?? (await client.query('SELECT current_schema() AS schema')).rows[0].schema;
+      await client.query(SchemaDump.createTable({ schema, name: ref.table, columns: definition.columns }));
+      if (definition.primaryKey) {
+        await client.query(`ALTER TABLE ${qualify(schema, ref.table)} ADD ${definition.primaryKey.definition}`);
+      }
+      this.logger.info('Copy target table created', { table: `${schema}.${ref.table}` });
+      created = true;
+    }
+
+    const table = await this.resolveTable(client, ref);
+    const target = await this.loadCopyColumns(client, table.oid);
+    const writable = new Set(target.columns.filter((column) => !column.generated).map((column) => column.name));
+    const missing = columns.filter((name) => !writable.has(name));
+    if (missing.length > 0) {
+      throw new Error(`Target table ${table.schema}.${table.name} has no writable column(s): ${missing.join(', ')}`);
+    }
+    return { table, primaryKey: target.primaryKey, created };
+  }
+
+  async copyData(profileName, args = {}) {
+    const targetProfile = this.validation.ensureString(args.target_profile, 'target_profile');
+    if (targetProfile === profileName) {
+      throw new Error('copy_data needs a target_profile different from profile_name; use INSERT ... SELECT within one database');
+    }
+    const hasSql = args.sql !== undefined && args.sql !== null;
+    const hasTable = args.table_name !== undefined && args.table_name !== null;
+    if (hasSql === hasTable) {
+      throw new Error('Provide either sql or table_name as the copy source');
+    }
+    if (hasSql && (args.target_table === undefined || args.target_table === null)) {
+      throw new Error('target_table is required when copying a query result');
+    }
+
+    const sourceRef = hasTable ? this.validation.ensureTableReference(args.table_name, args.schema) : null;
+    const statement = hasSql ? this.singleStatement(this.validation.ensureSql(args.sql), 'copy_data') : null;
+    if (statement && statement.kind !== 'read') {
+      throw new Error(`copy_data source must be a read query, got ${statement.command}`);
+    }
+    const targetRef = args.target_table === undefined || args.target_table === null
+      ? this.validation.ensureTableReference(sourceRef.table, args.target_schema ?? sourceRef.schema)
+      : this.validation.ensureTableReference(args.target_table, args.target_schema);
+    const values = hasSql && Array.isArray(args.params) ? args.params : undefined;
+    const mode = this.validation.ensureEnum(args.mode ?? 'append', ['append', 'truncate', 'upsert'], 'mode');
+    const requestedConflict = mode === 'upsert' && args.conflict_columns !== undefined && args.conflict_columns !== null
+      ? this.validation.ensureIdentifierList(args.conflict_columns, 'Conflict column')
+      : null;
+    const createTable = this.validation.ensureOptionalBoolean(args.create_table, 'create_table') === true;
+    const batchSize = this.validation.ensureLimit(args.batch_size, Constants.LIMITS.BULK_BATCH_SIZE);
+    await this.ensureWritable(targetProfile, 'copy_data');
+
+    const startedAt = Date.now();
+    const totals = { rows_read: 0, inserted: 0, updated: 0, skipped: 0, batches: 0 };
+    const response = {
+      success: true,
+      source: { profile: profileName },
+      target: { profile: targetProfile },
+      mode,
+    };
+    // значения читаются в текстовом представлении PostgreSQL и без преобразований уходят в COPY
+    const rawText = { getTypeParser: () => (value) => value };
+
+    try {
+      await this.withClient(profileName, async (source) => {
+        // снимок источника один на всё копирование
+        await source.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        try {
+          let sourceSql = statement?.text;
+          let definition = null;
+          if (sourceRef) {
+            const table = await this.resolveTable(source, sourceRef);
+            definition = await this.loadCopyColumns(source, table.oid);
+            definition.columns = definition.columns.filter((column) => !column.generated);
+            sourceSql = `SELECT ${definition.columns.map((column) => quoteIdent(column.name)).join(', ')} FROM ${qualify(table.schema, table.name)}`;
+            response.source.table = `${table.schema}.${table.name}`;
+          }
+          await source.query(`DECLARE sentryfrogg_copy NO SCROLL CURSOR FOR ${sourceSql}`, values);
+          const fetch = () => source.query({ text: `FETCH ${batchSize} FROM sentryfrogg_copy`, types: rawText });
+
+          let page = await fetch();
+          this.stats.queries += 1;
+          const columns = page.fields.map((field) => field.name);
+          if (new Set(columns).size !== columns.length) {
+            throw new Error('Source query returns duplicate column names; alias them');
+          }
+          if (!definition) {
+            definition = { columns: await this.describeResultColumns(source, page.fields), primaryKey: null };
+          }
+
+          await this.withClient(targetProfile, async (target) => {
+            await target.query('BEGIN');
+            try {
+              const prepared = await this.prepareCopyTarget(target, targetRef, { createTable, columns, definition });
+              const targetTable = qualify(prepared.table.schema, prepared.table.name);
+              response.target.table = `${prepared.table.schema}.${prepared.table.name}`;
+              response.target.created = prepared.created;
+
+              let insertSql = null;
+              if (mode === 'upsert') {
+                const conflictColumns = requestedConflict ?? prepared.primaryKey?.columns;
+                if (!conflictColumns) {
+                  throw new Error(`Target table ${response.target.table} has no primary key; pass conflict_columns for upsert`);
+                }
+                response.conflict_columns = conflictColumns;
+                await target.query(
+                  `CREATE TEMP TABLE sentryfrogg_bulk ON COMMIT DROP AS SELECT ${columns.map(quoteIdent).join(', ')} FROM ${targetTable} WITH NO DATA`
+                );
+                insertSql = this.buildBulkInsertSql(targetTable, columns, 'update', conflictColumns);
+              }
+              if (mode === 'truncate') {
+                await target.query(`TRUNCATE ${targetTable}`);
+              }
+
+              while (page.rows.length > 0) {
+                totals.batches += 1;
+                totals.rows_read += page.rows.length;
+                if (insertSql) {
+                  await this.copyBatch(target, 'sentryfrogg_bulk', columns, page.rows);
+                  const result = await target.query(insertSql);
+                  const inserted = result.rows.filter((row) => row.inserted).length;
+                  totals.inserted += inserted;
+                  totals.updated += result.rowCount - inserted;
+                  totals.skipped += page.rows.length - result.rowCount;
+                  await target.query('TRUNCATE sentryfrogg_bulk');
+                } else {
+                  await this.copyBatch(target, targetTable, columns, page.rows);
+                  totals.inserted += page.rows.length;
+                }
+                this.stats.queries += 1;
+                this.logger.info('Copy progress', {
+                  source: profileName,
+                  target: targetProfile,
+                  table: response.target.table,
+                  batch: totals.batches,
+                  rows: totals.rows_read,
+                });
+
+                if (page.rows.length < batchSize) {
+                  break;
+                }
+                page = await fetch();
+                this.stats.queries += 1;
+              }
+
+              await target.query('COMMIT');
+            } catch (error) {
+              await target.query('ROLLBACK');
+              throw error;
+            }
+          });
+          await source.query('COMMIT');
+        } catch (error) {
+          await source.query('ROLLBACK');
+          throw error;
+        }
+      });
+    } catch (error) {
+      this.stats.errors += 1;
+      this.logger.error('Copy failed', { profile: profileName, target: targetProfile, error: error.message });
+      throw error;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    return {
+      ...response,
+      ...totals,
+      duration_ms: durationMs,
+      rows_per_second: durationMs > 0 ? Math.round((totals.rows_read * 1000) / durationMs) : null,
+    };
+  }
+
+  buildWhere(args) {
+    const parts = [];
+    const values = [];
+
+    if (args.where !== undefined && args.where !== null) {
+      const clause = this.validation.ensureWhereClause(args.where);
+      // where вставляется в текст запроса: ';' за закрывающей скобкой дописал бы отдельное выражение
+      const statements = SqlLexer.split(`SELECT 1 WHERE (${clause})`);
+      if (statements.length !== 1) {
+        throw new Error('where must be a single boolean expression, not several statements');
+      }
+      parts.push(`(${clause})`);
+      if (args.params !== undefined && args.params !== null) {
+        if (!Array.isArray(args.params)) {
+          throw new Error('params must be an array');
+        }
+        values.push(...args.params);
+      }
+    }
+
+    if (args.filter !== undefined && args.filter !== null) {
+      const compiled = SqlFilter.compile(args.filter, {
+        offset: values.length,
+        ensureColumn: (name) => this.validation.ensureIdentifier(name, 'Filter column'),
+      });
+      parts.push(`(${compiled.clause})`);
+      values.push(...compiled.values);
+    }
+
+    if (parts.length === 0) {
+      throw new Error('Provide filter or where to select affected rows');
+    }
+
+    return { clause: parts.join(' AND '), values };
+  }
+
+  async previewAffected(profileName, name, where, limit) {
+    const sampleSize = this.validation.ensureLimit(limit, Constants.LIMITS.SAMPLE_DATA_LIMIT);
+    const countSql = `SELECT count(*) AS total FROM ${name} WHERE ${where.clause}`;
+    // dry_run разрешён и read_only-профилю, поэтому сам where проверяется как читающий запрос
+    await this.ensureStatementAllowed(profileName, countSql);
+
+    return this.withClient(profileName, async (client) => {
+      const count = await client.query(this.extendedQuery(countSql, where.values));
+      const sample = await client.query(
+        this.extendedQuery(`SELECT * FROM ${name} WHERE ${where.clause} LIMIT ${sampleSize}`, where.values)
+      );
+      this.stats.queries += 2;
+      return { affected: Number(count.rows[0].total), sample: sample.rows };
+    });
+  }
+
+  // без параметров pg отправляет простой протокол, который выполнит и дописанные в where выражения;
+  // расширенный протокол принимает ровно одно
+  extendedQuery(text, values) {
+    return { text, values, queryMode: 'extended' };
+  }
+
+  // исходная ошибка важнее сбоя отката: клиент после ошибки всё равно не вернётся в пул
+  async rollbackQuietly(client, profileName, operation) {
+    await client.query('ROLLBACK').catch((error) => {
+      this.logger.warn(`Rollback after failed ${operation} failed`, { profile: profileName, error: error.message });
+    });
+  }
+
+  async runGuardedWrite(profileName, sql, values, maxRows) {
+    if (maxRows === undefined) {
+      return this.withClient(profileName, (client) => client.query(this.extendedQuery(sql, values)));
+    }
+
+    return this.withClient(profileName, async (client) => {
+      await client.query('BEGIN');
+      let result;
+      try {
+        result = await client.query(this.extendedQuery(sql, values));
+      } catch (error) {
+        await this.rollbackQuietly(client, profileName, 'guarded write');
+        throw error;
+      }
+
+      if (result.rowCount > maxRows) {
+        await client.query('ROLLBACK');
+        throw new Error(`Statement would affect ${result.rowCount} rows, more than max_rows ${maxRows}; rolled back`);
+      }
+
+      await client.query('COMMIT');
+      return result;
+    });
+  }
+
+  async updateData(profileName, args) {
+    const name = this.validation.ensureTableName(args.table_name);
+    const payload = this.validation.ensureDataObject(args.data);
+    const columns = Object.keys(payload).map((column) => this.validation.ensureIdentifier(column, 'Column name'));
+    const where = this.buildWhere(args);
+    const maxRows = this.validation.ensureOptionalCount(args.max_rows, 'max_rows');
+
+    if (this.validation.ensureOptionalBoolean(args.dry_run, 'dry_run')) {
+      const preview = await this.previewAffected(profileName, name, where, args.limit);
+      return { success: true, dry_run: true, table: name, changes: payload, ...preview };
+    }
+    await this.ensureWritable(profileName, 'update_data');
+
+    // параметры WHERE идут первыми, чтобы $1.. в where совпадали с params
+    const assignments = columns.map((col, index) => `${col} = $${where.values.length + index + 1}`);
+    const sql = `UPDATE ${name} SET ${assignments.join(', ')} WHERE ${where.clause} RETURNING *`;
+
+    const result = await this.runGuardedWrite(profileName, sql, [...where.values, ...Object.values(payload)], maxRows);
+    this.stats.queries += 1;
+    return { success: true, table: name, rows: result.rows, rowCount: result.rowCount };
+  }
+
+  async deleteData(profileName, args) {
+    const name = this.validation.ensureTableName(args.table_name);
+    const where = this.buildWhere(args);
+    const maxRows = this.validation.ensureOptionalCount(args.max_rows, 'max_rows');
+
+    if (this.validation.ensureOptionalBoolean(args.dry_run, 'dry_run')) {
+      const preview = await this.previewAffected(profileName, name, where, args.limit);
+      return { success: true, dry_run: true, table: name, ...preview };
+    }
+    await this.ensureWritable(profileName, 'delete_data');
+
+    const sql = `DELETE FROM ${name} WHERE ${where.clause}`;
+    const result = await this.runGuardedWrite(profileName, sql, where.values, maxRows);
+    this.stats.queries += 1;
+    return { success: true, table: name, rowCount: result.rowCount };
+  }
+
+  async activity(profileName, args = {}) {
+    const includeIdle = this.validation.ensureOptionalBoolean(args.include_idle, 'include_idle') ?? false;
+    const allDatabases = this.validation.ensureOptionalBoolean(args.all_databases, 'all_databases') ?? false;
+    const minDuration = this.validation.ensureOptionalCount(args.min_duration_ms, 'min_duration_ms') ?? 0;
+    const limit = this.validation.ensureLimit(args.limit);
+
+    const sql = `SELECT pid,
+                        datname AS database,
+                        usename AS username,
+                        application_name,
+                        client_addr::text AS client_addr,
+                        backend_type,
+                        state,
+                        wait_event_type,
+                        wait_event,
+                        pg_blocking_pids(pid) AS blocked_by,
+                        backend_start,
+                        xact_start,
+                        query_start,
+                        (extract(epoch FROM now() - query_start) * 1000)::bigint AS duration_ms,
+                        (extract(epoch FROM now() - xact_start) * 1000)::bigint AS transaction_ms,
+                        left(query, $1) AS query
+                   FROM pg_stat_activity
+                  WHERE pid <> pg_backend_pid()
+                    AND ($2 OR datname = current_database())
+                    AND ($3 OR (state IS NOT NULL AND state <> 'idle'))
+                    AND coalesce(extract(epoch FROM now() - query_start) * 1000, 0) >= $4
+                  ORDER BY query_start ASC NULLS LAST
+                  LIMIT ${limit}`;
+
+    const pool = await this.getPool(profileName);
+    const result = await pool.query(sql, [Constants.LIMITS.ACTIVITY_QUERY_LENGTH, allDatabases, includeIdle, minDuration]);
+    this.stats.queries += 1;
+
+    const sessions = result.rows.map((row) => ({
+      ...row,
+      duration_ms: row.duration_ms === null ? null : Number(row.duration_ms),
+      transaction_ms: row.transaction_ms === null ? null : Number(row.transaction_ms),
+    }));
+    const states = {};
+    for (const session of sessions) {
+      const key = session.state ?? session.backend_type;
+      states[key] = (states[key] ?? 0) + 1;
+    }
+
+    return {
+      success: true,
+      count: sessions.length,
+      blocked: sessions.filter((session) => session.blocked_by.length > 0).length,
+      states,
+      sessions,
+    };
+  }
+
+  async locks(profileName) {
+    const pool = await this.getPool(profileName);
+    const sessionsResult = await pool.query(`WITH blocked AS (
+                                               SELECT pid, pg_blocking_pids(pid) AS blocked_by
+                                                 FROM pg_stat_activity
+                                                WHERE cardinality(pg_blocking_pids(pid)) > 0
+                                             ),
+                                             involved AS (
+                                               SELECT pid FROM blocked
+                                               UNION
+                                               SELECT unnest(blocked_by) FROM blocked
+                                             )
+                                             SELECT a.pid,
+                                                    a.datname AS database,
+                                                    a.usename AS username,
+                                                    a.application_name,
+                                                    a.state,
+                                                    a.wait_event_type,
+                                                    a.wait_event,
+                                                    coalesce(b.blocked_by, '{}') AS blocked_by,
+                                                    (extract(epoch FROM now() - a.query_start) * 1000)::bigint AS duration_ms,
+                                                    (extract(epoch FROM now() - a.xact_start) * 1000)::bigint AS transaction_ms,
+                                                    left(a.query, $1) AS query
+                                               FROM involved i
+                                               JOIN pg_stat_activity a ON a.pid = i.pid
+                                               LEFT JOIN blocked b ON b.pid = a.pid`,
+    [Constants.LIMITS.ACTIVITY_QUERY_LENGTH]);
+    const waitingResult = await pool.query(`SELECT l.pid,
+                                                   l.locktype,
+                                                   l.mode,
+                                                   l.relation::regclass::text AS relation,
+                                                   l.transactionid::text AS transaction_id
+                                              FROM pg_locks l
+                                             WHERE NOT l.granted`);
+    this.stats.queries += 2;
+
+    const waiting = new Map();
+    for (const lock of waitingResult.rows) {
+      if (!waiting.has(lock.pid)) {
+        waiting.set(lock.pid, []);
+      }
+      const { pid, ...details } = lock;
+      waiting.get(pid).push(details);
+    }
+
+    const sessions = sessionsResult.rows.map((row) => ({
+      ...row,
+      duration_ms: row.duration_ms === null ? null : Number(row.duration_ms),
+      transaction_ms: row.transaction_ms === null ? null : Number(row.transaction_ms),
+      waiting_for: waiting.get(row.pid) ?? [],
+    }));
+    const trees = BlockingTree.build(sessions).map((tree) => ({ ...tree, blocked_count: BlockingTree.countBlocked(tree) }));
+
+    return {
+      success: true,
+      blocked_sessions: sessions.filter((session) => session.blocked_by.length > 0).length,
+      blocking_roots: trees.length,
+      trees,
+    };
+  }
+
+  async terminateBackend(profileName, args) {
+    const pid = this.validation.ensureOptionalCount(args.pid, 'pid');
+    if (!pid) {
+      throw new Error('pid is required');
+    }
+    if (args.confirm !== true) {
+      throw new Error(`terminate_backend ends session ${pid} and rolls back its transaction; repeat with confirm: true`);
+    }
+    await this.ensureWritable(profileName, 'terminate_backend');
+
+    const pool = await this.getPool(profileName);
+    const lookup = await pool.query(
+      `SELECT pid, usename AS username, application_name, state, left(query, $2) AS query,
+              pid = pg_backend_pid() AS own
+         FROM pg_stat_activity
+        WHERE pid = $1`,
+      [pid, Constants.LIMITS.ACTIVITY_QUERY_LENGTH]
+    );
+    const session = lookup.rows[0];
+    if (!session) {
+      throw new Error(`No session with pid ${pid}`);
+    }
+    if (session.own) {
+      throw new Error('Refusing to terminate the session running this request');
+    }
+
+    const signalled = await this.signalBackend(profileName, pid, true);
+    this.stats.queries += 2;
+    this.logger.warn('Backend terminated', { profile: profileName, pid, username: session.username, signalled });
+
+    const { own, ...details } = session;
+    return { success: signalled, pid, signalled, session: details };
+  }
+
+  async healthReport(profileName) {
+    const { TOP_OBJECTS, LONG_TRANSACTION_WARNING_MS } = Constants.HEALTH;
+
+    const snapshot = await this.withClient(profileName, async (client) => {
+      const database = await client.query(`SELECT current_database() AS name,
+                                                  version() AS version,
+                                                  pg_database_size(current_database())::float8 AS size_bytes,
+                                                  pg_size_pretty(pg_database_size(current_database())) AS size,
+                                                  pg_is_in_recovery() AS in_recovery,
+                                                  d.stats_reset
+                                             FROM pg_stat_database d
+                                            WHERE d.datname = current_database()`);
+      const tables = await client.query(`SELECT s.schemaname AS schema,
+                                                s.relname AS table,
+                                                s.n_live_tup::float8 AS live_tuples,
+                                                s.n_dead_tup::float8 AS dead_tuples,
+                                                s.seq_scan::float8 AS seq_scan,
+                                                s.seq_tup_read::float8 AS seq_tup_read,
+                                                s.idx_scan::float8 AS idx_scan,
+                                                s.last_vacuum,
+                                                s.last_autovacuum,
+                                                s.last_analyze,
+                                                s.last_autoanalyze,
+                                                pg_total_relation_size(s.relid)::float8 AS total_bytes,
+                                                pg_size_pretty(pg_total_relation_size(s.relid)) AS total_size,
+                                                pg_size_pretty(pg_relation_size(s.relid)) AS table_size,
+                                                pg_size_pretty(pg_indexes_size(s.relid)) AS indexes_size
+                                           FROM pg_stat_user_tables s
+                                          ORDER BY pg_total_relation_size(s.relid) DESC`);
+      const indexes = await client.query(`SELECT s.schemaname AS schema,
+                                                 s.relname AS table,
+                                                 s.indexrelname AS index,
+                                                 s.idx_scan::float8 AS scans,
+                                                 pg_relation_size(s.indexrelid)::float8 AS bytes,
+                                                 pg_size_pretty(pg_relation_size(s.indexrelid)) AS size,
+                                                 i.indisunique AS is_unique,
+                                                 i.indisprimary AS is_primary,
+                                                 EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = s.indexrelid) AS backs_constraint,
+                                                 concat_ws(':', i.indrelid, i.indisunique, i.indkey::text, i.indclass::text,
+                                                           pg_get_expr(i.indexprs, i.indrelid), pg_get_expr(i.indpred, i.indrelid)) AS signature,
+                                                 pg_get_indexdef(s.indexrelid) AS definition
+                                            FROM pg_stat_user_indexes s
+                                            JOIN pg_index i ON i.indexrelid = s.indexrelid
+                                           ORDER BY pg_relation_size(s.indexrelid) DESC`);
+      const cache = await client.query(`SELECT sum(heap_blks_hit)::float8 AS heap_hit,
+                                               sum(heap_blks_read)::float8 AS heap_read,
+                                               sum(coalesce(idx_blks_hit, 0))::float8 AS index_hit,
+                                               sum(coalesce(idx_blks_read, 0))::float8 AS index_read
+                                          FROM pg_statio_user_tables`);
+      const connections = await client.query(`SELECT count(*)::int AS used,
+                                                     count(*) FILTER (WHERE state = 'active')::int AS active,
+                                                     count(*) FILTER (WHERE state = 'idle in transaction')::int AS idle_in_transaction,
+                                                     current_setting('max_connections')::int AS max,
+                                                     current_setting('superuser_reserved_connections')::int AS reserved
+                                                FROM pg_stat_activity
+                                               WHERE backend_type = 'client backend'`);
+      const transactions = await client.query(
+        `SELECT pid,
+                usename AS username,
+                application_name,
+                state,
+                (extract(epoch FROM now() - xact_start) * 1000)::float8 AS transaction_ms,
+                left(query, $2) AS query
+           FROM pg_stat_activity
+          WHERE xact_start IS NOT NULL
+            AND pid <> pg_backend_pid()
+            AND extract(epoch FROM now() - xact_start) * 1000 >= $1
+          ORDER BY xact_start`,
+        [LONG_TRANSACTION_WARNING_MS, Constants.LIMITS.ACTIVITY_QUERY_LENGTH]
+      );
+
+      // на реплике отставание считается по времени последней применённой транзакции
+      const replication = database.rows[0].in_recovery
+        ? await client.query(`SELECT 'this server' AS name,
+                                     (extract(epoch FROM now() - pg_last_xact_replay_timestamp()) * 1000)::float8 AS replay_lag_ms,
+                                     pg_last_wal_receive_lsn()::text AS receive_lsn,
+                                     pg_last_wal_replay_lsn()::text AS replay_lsn`)
+        : await client.query(`SELECT coalesce(application_name, client_addr::text) AS name,
+                                     client_addr::text AS client_addr,
+                                     state,
+                                     sync_state,
+                                     (extract(epoch FROM write_lag) * 1000)::float8 AS write_lag_ms,
+                                     (extract(epoch FROM flush_lag) * 1000)::float8 AS flush_lag_ms,
+                                     (extract(epoch FROM replay_lag) * 1000)::float8 AS replay_lag_ms,
+                                     pg_wal_lsn_diff(pg_current_wal_lsn(), replay_lsn)::float8 AS replay_lag_bytes
+                                FROM pg_stat_replication`);
+      this.stats.queries += 7;
+
+      return {
+        database: database.rows[0],
+        tables: tables.rows,
+        indexes: indexes.rows,
+        cache: cache.rows[0],
+        connections: connections.rows[0],
+        transactions: transactions.rows,
+        replication: replication.rows,
+      };
+    });
+
+    const cache = HealthReport.cacheFindings(snapshot.cache);
+    const ranked = HealthReport.rank([
+      ...HealthReport.tableFindings(snapshot.tables),
+      ...HealthReport.indexFindings(snapshot.indexes),
+      ...cache.findings,
+      ...HealthReport.transactionFindings(snapshot.transactions),
+      ...HealthReport.replicationFindings(snapshot.replication),
+      ...HealthReport.connectionFindings(snapshot.connections),
+    ]);
+
+    return {
+      success: true,
+      database: snapshot.database,
+      ...ranked,
+      tables: snapshot.tables.slice(0, TOP_OBJECTS),
+      indexes: snapshot.indexes.slice(0, TOP_OBJECTS).map(({ signature, ...index }) => index),
+      cache_hit_ratio: cache.ratios,
+      connections: snapshot.connections,
+      long_transactions: snapshot.transactions,
+      replication: { role: snapshot.database.in_recovery ? 'replica' : 'primary', replicas: snapshot.replication },
+    };
+  }
+
+  async loadRole(client, role) {
+    // name[] драйвер pg отдаёт строкой '{a,b}', поэтому массивы имён ролей собираются как text[]
+    const result = await client.query(
+      `SELECT r.rolname AS name,
+              r.rolsuper AS superuser,
+              r.rolinherit AS inherit,
+              r.rolcanlogin AS can_login,
+              r.rolcreaterole AS create_role,
+              r.rolcreatedb AS create_db,
+              r.rolbypassrls AS bypass_rls,
+              r.rolconnlimit AS connection_limit,
+              r.rolvaliduntil AS valid_until,
+              ARRAY(SELECT b.rolname::text FROM pg_auth_members m JOIN pg_roles b ON b.oid = m.roleid
+                    WHERE m.member = r.oid ORDER BY b.rolname) AS member_of,
+              ARRAY(SELECT e.rolname::text FROM pg_roles e
+                    WHERE e.oid <> r.oid AND pg_has_role(r.oid, e.oid, 'USAGE') ORDER BY e.rolname) AS inherits_from
+       FROM pg_roles r
+       WHERE ($1::text IS NULL AND r.rolname !~ '^pg_') OR r.rolname = $1
+       ORDER BY r.rolname`,
+      [role ?? null]
+    );
+    this.stats.queries += 1;
+
+    if (role && result.rowCount === 0) {
+      throw new Error(`Role '${role}' not found`);
+    }
+    return result.rows;
+  }
+
+  async checkTablePrivileges(client, role, table) {
+    const sequence = table.kind === 'S';
+    const result = await client.query(
+      `SELECT privilege,
+              ${sequence ? 'has_sequence_privilege' : 'has_table_privilege'}($1, $2::oid, privilege) AS allowed,
+              ${sequence ? 'NULL::boolean' : "CASE WHEN privilege = ANY($4::text[]) THEN has_any_column_privilege($1, $2::oid, privilege) END"} AS any_column
+       FROM unnest($3::text[]) AS privilege`,
+      sequence
+        ? [role.name, table.oid, SEQUENCE_PRIVILEGES]
+        : [role.name, table.oid, TABLE_PRIVILEGES, COLUMN_PRIVILEGES]
+    );
+    const context = await client.query(
+      `SELECT has_schema_privilege($1, c.relnamespace, 'USAGE') AS schema_usage,
+              pg_has_role($1, c.relowner, 'USAGE') AS is_owner,
+              c.relrowsecurity AS rls_enabled,
+              c.relforcerowsecurity AS rls_forced
+       FROM pg_class c
+       WHERE c.oid = $2`,
+      [role.name, table.oid]
+    );
+    this.stats.queries += 2;
+
+    const { schema_usage: schemaUsage, is_owner: isOwner, rls_enabled: rlsEnabled, rls_forced: rlsForced } = context.rows[0];
+    let rowSecurity = 'disabled';
+    if (rlsEnabled) {
+      rowSecurity = role.superuser || role.bypass_rls || (isOwner && !rlsForced) ? 'bypassed' : 'policies apply';
+    }
+
+    return {
+      role: role.name,
+      table: `${table.schema}.${table.name}`,
+      schema_usage: schemaUsage,
+      owner: isOwner,
+      privileges: Object.fromEntries(result.rows.map((row) => [row.privilege, row.allowed])),
+      // право хотя бы на одну колонку, когда табличного права нет
+      column_privileges: sequence
+        ? undefined
+        : Object.fromEntries(result.rows
+          .filter((row) => !row.allowed && row.any_column)
+          .map((row) => [row.privilege, true])),
+      row_security: rowSecurity,
+    };
+  }
+
+  async privileges(profileName, args = {}) {
+    const roleName = this.validation.ensureOptionalString(args.role, 'role');
+    const ref = args.table_name === undefined || args.table_name === null
+      ? undefined
+      : this.validation.ensureTableReference(args.table_name, args.schema);
+    const schema = ref ? undefined : this.validation.ensureOptionalString(args.schema, 'schema');
+
+    return this.withClient(profileName, async (client) => {
+      const table = ref ? await this.resolveTable(client, ref) : undefined;
+      const roles = await this.loadRole(client, roleName);
+      const role = roleName ? roles[0] : undefined;
+      // PUBLIC и роли, права которых наследует выбранная роль
+      const effective = role ? [role.name, ...role.inherits_from] : null;
+      const scope = [table?.oid ?? null, schema ?? null, effective];
+
+      const grants = await client.query(
+        `WITH objects AS (
+           SELECT CASE c.relkind WHEN 'S' THEN 'sequence' WHEN 'v' THEN 'view' WHEN 'm' THEN 'materialized view'
+                                 WHEN 'f' THEN 'foreign table' ELSE 'table' END AS object_type,
+                  n.nspname AS schema,
+                  format('%I.%I', n.nspname, c.relname) AS object,
+                  NULL::name AS column_name,
+                  c.relowner AS owner,
+                  coalesce(c.relacl, acldefault(CASE c.relkind WHEN 'S' THEN 's' ELSE 'r' END::"char", c.relowner)) AS acl
+           FROM pg_class c
+           JOIN pg_namespace n ON n.oid = c.relnamespace
+           WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S') AND ($1::oid IS NULL OR c.oid = $1)
+           UNION ALL
+           SELECT 'column', n.nspname, format('%I.%I', n.nspname, c.relname), a.attname, c.relowner, a.attacl
+           FROM pg_attribute a
+           JOIN pg_class c ON c.oid = a.attrelid
+           JOIN pg_namespace n ON n.oid = c.relnamespace
+           WHERE a.attacl IS NOT NULL AND a.attnum > 0 AND NOT a.attisdropped AND ($1::oid IS NULL OR c.oid = $1)
+           UNION ALL
+           SELECT 'schema', n.nspname, quote_ident(n.nspname), NULL, n.nspowner, coalesce(n.nspacl, acldefault('n', n.nspowner))
+           FROM pg_namespace n
+           WHERE $1::oid IS NULL OR n.oid = (SELECT relnamespace FROM pg_class WHERE oid = $1)
+           UNION ALL
+           SELECT CASE p.prokind WHEN 'p' THEN 'procedure' ELSE 'function' END,
+                  n.nspname,
+                  format('%I.%I(%s)', n.nspname, p.proname, pg_get_function_identity_arguments(p.oid)),
+                  NULL,
+                  p.proowner,
+                  p.proacl
+           FROM pg_proc p
+           JOIN pg_namespace n ON n.oid = p.pronamespace
+           WHERE p.proacl IS NOT NULL AND $1::oid IS NULL
+         )
+         SELECT o.object_type,
+                o.object,
+                o.column_name,
+                pg_get_userbyid(o.owner) AS owner,
+                CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE pg_get_userbyid(acl.grantee) END AS grantee,
+                acl.privilege_type,
+                acl.is_grantable
+         FROM objects o
+         JOIN pg_namespace n ON n.nspname = o.schema
+         CROSS JOIN LATERAL aclexplode(o.acl) acl
+         WHERE n.nspname ${SYSTEM_SCHEMA_FILTER}
+           AND ($2::text IS NULL OR o.schema = $2)
+           AND ($3::text[] IS NULL OR acl.grantee = 0 OR pg_get_userbyid(acl.grantee) = ANY($3))`,
+        scope
+      );
+
+      const defaults = await client.query(
+        `SELECT pg_get_userbyid(d.defaclrole) AS owner,
+                n.nspname AS schema,
+                CASE d.defaclobjtype WHEN 'r' THEN 'table' WHEN 'S' THEN 'sequence' WHEN 'f' THEN 'function'
+                                     WHEN 'T' THEN 'type' WHEN 'n' THEN 'schema' END AS object_type,
+                CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE pg_get_userbyid(acl.grantee) END AS grantee,
+                array_agg(acl.privilege_type ORDER BY acl.privilege_type) AS privileges,
+                coalesce(array_agg(acl.privilege_type ORDER BY acl.privilege_type) FILTER (WHERE acl.is_grantable), '{}') AS grantable
+         FROM pg_default_acl d
+         LEFT JOIN pg_namespace n ON n.oid = d.defaclnamespace
+         CROSS JOIN LATERAL aclexplode(d.defaclacl) acl
+         WHERE ($1::oid IS NULL OR n.oid IS NULL OR n.oid = (SELECT relnamespace FROM pg_class WHERE oid = $1))
+           AND ($2::text IS NULL OR n.oid IS NULL OR n.nspname = $2)
+           AND ($3::text[] IS NULL OR acl.grantee = 0 OR pg_get_userbyid(acl.grantee) = ANY($3))
+         GROUP BY 1, 2, 3, 4
+         ORDER BY 1, 2, 3, 4`,
+        scope
+      );
+
+      const policies = await client.query(
+        `SELECT format('%I.%I', n.nspname, c.relname) AS table,
+                c.relrowsecurity AS rls_enabled,
+                c.relforcerowsecurity AS rls_forced,
+                p.polname AS name,
+                CASE p.polcmd WHEN 'r' THEN 'SELECT' WHEN 'a' THEN 'INSERT' WHEN 'w' THEN 'UPDATE'
+                              WHEN 'd' THEN 'DELETE' ELSE 'ALL' END AS command,
+                p.polpermissive AS permissive,
+                CASE WHEN p.polroles = '{0}' THEN ARRAY['PUBLIC']::text[]
+                     ELSE ARRAY(SELECT pg_get_userbyid(r)::text FROM unnest(p.polroles) AS r ORDER BY 1) END AS roles,
+                pg_get_expr(p.polqual, p.polrelid) AS using,
+                pg_get_expr(p.polwithcheck, p.polrelid) AS with_check
+         FROM pg_class c
+         JOIN pg_namespace n ON n.oid = c.relnamespace
+         LEFT JOIN pg_policy p ON p.polrelid = c.oid
+         WHERE (c.relrowsecurity OR p.oid IS NOT NULL)
+           AND n.nspname ${SYSTEM_SCHEMA_FILTER}
+           AND ($1::oid IS NULL OR c.oid = $1)
+           AND ($2::text IS NULL OR n.nspname = $2)
+         ORDER BY 1, p.polname`,
+        scope.slice(0, 2)
+      );
+      this.stats.queries += 3;
+
+      const matrix = PrivilegeMatrix.build(grants.rows, role?.name);
+      const result = {
+        success: true,
+        role: role ?? undefined,
+        table: table ? `${table.schema}.${table.name}` : undefined,
+        schema,
+        roles: role ? undefined : roles,
+        matrix,
+        default_privileges: defaults.rows,
+        row_security: PrivilegeMatrix.policies(policies.rows, effective ? new Set(effective) : undefined),
+        summary: {
+          entries: matrix.length,
+          objects: new Set(matrix.map((entry) => entry.object)).size,
+          grantees: new Set(matrix.map((entry) => entry.grantee)).size,
+        },
+      };
+
+      if (role && table) {
+        result.check = await this.checkTablePrivileges(client, role, table);
+      }
+      if (role?.superuser) {
+        result.note = `Role '${role.name}' is a superuser: privilege checks and row security do not apply to it`;
+      }
+      return result;
+    });
+  }
+
+  async databaseInfo(profileName) {
+    const sql = `SELECT current_database() AS database_name,
+                        current_user AS current_user,
+                        version() AS version,
+                        pg_size_pretty(pg_database_size(current_database())) AS size`;
+    return this.executeQuery(profileName, sql);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      activePools: this.pools.size,
+      openCursors: this.cursors.size,
+      runningQueries: this.running.size,
+      listeners: this.listeners.size,
+      sshTunnels: this.tunnels.size,
+    };
+  }
+
+  async cleanup() {
+    for (const profileName of [...this.listeners.keys()]) {
+      await this.closeListener(profileName);
+    }
+    for (const id of [...this.cursors.keys()]) {
+      await this.closeCursor(id);
+    }
+    for (const pool of this.pools.values()) {
+      await pool.end();
+    }
+    this.pools.clear();
+    this.poolTunnels.clear();
+    for (const sshProfile of [...this.tunnels.keys()]) {
+      await this.closeTunnel(sshProfile);
     }
-    this.pools.clear();
   }
 }
 
@@ -18,6 +18,7 @@ class SSHManager {
     this.validation = validation;
     this.profileService = profileService;
     this.connections = new Map();
+    this.tunnels = new Set();
     this.stats = {
       commands: 0,
       profiles_created: 0,
@@ -232,6 +233,44 @@ class SSHManager {
     });
   }
 
+  /**
+   * Отдельное SSH-соединение для проброса TCP-каналов (используется PostgreSQL-профилями)
+   * @param {string} profileName - имя SSH-профиля
+   * @returns {Promise<object>} туннель { forward(host, port), close(), closed }
+   */
+  async openTunnel(profileName) {
+    const profile = await this.profileService.getProfile(profileName, 'ssh');
+    const entry = await this.createClient(profile, Symbol(`tunnel:${profileName}`));
+
+    const tunnel = {
+      profileName,
+      closed: false,
+      forward: (host, port) => new Promise((resolve, reject) => {
+        entry.client.forwardOut('127.0.0.1', 0, host, port, (error, channel) => {
+          if (error) {
+            reject(new Error(`SSH tunnel '${profileName}' cannot reach ${host}:${port}: ${error.message}`));
+            return;
+          }
+          resolve(channel);
+        });
+      }),
+      close: () => entry.client.end(),
+    };
+
+    entry.client.on('close', () => {
+      tunnel.closed = true;
+      this.tunnels.delete(tunnel);
+      this.logger.info('SSH tunnel closed', { profile: profileName });
+    });
+    entry.client.on('error', (error) => {
+      this.logger.warn('SSH tunnel error', { profile: profileName, error: error.message });
+    });
+
+    this.tunnels.add(tunnel);
+    this.logger.info('SSH tunnel opened', { profile: profileName });
+    return tunnel;
+  }
+
   exec(client, command) {
     return new Promise((resolve, reject) => {
       client.exec(command, (error, stream) => {
@@ -269,7 +308,7 @@ class SSHManager {
   }
 
   getStats() {
-    return { ...this.stats, active_connections: this.connections.size };
+    return { ...this.stats, active_connections: this.connections.size, active_tunnels: this.tunnels.size };
   }
 
   async cleanup() {
@@ -281,6 +320,15 @@ class SSHManager {
       }
     }
     this.connections.clear();
+
+    for (const tunnel of this.tunnels) {
+      try {
+        tunnel.close();
+      } catch (error) {
+        // ignore cleanup errors
+      }
+    }
+    this.tunnels.clear();
   }
 }
 
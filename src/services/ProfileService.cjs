@@ -188,6 +188,7 @@ class ProfileService {
         username: profile.username,
         database: profile.database,
         ssl: profile.ssl,
+        options: profile.options,
         created_at: profile.created_at,
         updated_at: profile.updated_at,
       });
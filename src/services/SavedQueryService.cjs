@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * 📚 Библиотека именованных SQL-запросов (рядом с profiles.json)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class SavedQueryService {
+  constructor(logger, profileService) {
+    this.logger = logger.child('saved-queries');
+    this.filePath = path.join(path.dirname(profileService.filePath), 'saved_queries.json');
+    this.queries = new Map();
+    this.stats = {
+      created: 0,
+      updated: 0,
+      loaded: 0,
+      saved: 0,
+      errors: 0,
+    };
+
+    this.initPromise = this.loadQueries();
+  }
+
+  async initialize() {
+    await this.initPromise;
+  }
+
+  async loadQueries() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(raw);
+      for (const [name, query] of Object.entries(parsed)) {
+        this.queries.set(name, query);
+      }
+      this.stats.loaded = this.queries.size;
+      this.logger.info('Saved queries loaded', { count: this.queries.size });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info('saved_queries.json not found, starting clean');
+        return;
+      }
+      this.stats.errors += 1;
+      this.logger.error('Failed to load saved queries', { error: error.message });
+      throw error;
+    }
+  }
+
+  async persist() {
+    const data = Object.fromEntries(this.queries);
+    await fs.writeFile(this.filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+    this.stats.saved += 1;
+  }
+
+  async ensureReady() {
+    await this.initPromise;
+  }
+
+  async setQuery(name, definition) {
+    await this.ensureReady();
+
+    const existing = this.queries.get(name);
+    const query = {
+      sql: definition.sql,
+      description: definition.description,
+      params: definition.params,
+      created_at: existing?.created_at || new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    this.queries.set(name, query);
+    await this.persist();
+
+    if (existing) {
+      this.stats.updated += 1;
+    } else {
+      this.stats.created += 1;
+    }
+    this.logger.info('Saved query stored', { name });
+
+    return { name, ...query };
+  }
+
+  async getQuery(name) {
+    await this.ensureReady();
+
+    const query = this.queries.get(name);
+    if (!query) {
+      const known = [...this.queries.keys()];
+      throw new Error(`Saved query '${name}' not found${known.length > 0 ? `; available: ${known.join(', ')}` : ''}`);
+    }
+    return { name, ...query };
+  }
+
+  async listQueries() {
+    await this.ensureReady();
+    return [...this.queries.entries()]
+      .map(([name, query]) => ({ name, ...query }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async deleteQuery(name) {
+    await this.ensureReady();
+    if (!this.queries.delete(name)) {
+      throw new Error(`Saved query '${name}' not found`);
+    }
+    await this.persist();
+    this.logger.info('Saved query deleted', { name });
+    return { success: true };
+  }
+
+  getStats() {
+    return { ...this.stats, total: this.queries.size };
+  }
+
+  async cleanup() {
+    this.queries.clear();
+  }
+}
+
+module.exports = SavedQueryService;
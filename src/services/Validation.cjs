@@ -25,6 +25,47 @@ class Validation {
     return this.ensureString(value, label);
   }
 
+  ensureOptionalBoolean(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'string') {
+      const lowered = value.trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(lowered)) {
+        return true;
+      }
+      if (['false', '0', 'no', 'off'].includes(lowered)) {
+        return false;
+      }
+    }
+    throw new Error(`${label} must be a boolean`);
+  }
+
+  ensureOptionalTimeout(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    const numeric = Number(value);
+    if (!Number.isInteger(numeric) || numeric < 0 || numeric > Constants.LIMITS.MAX_QUERY_TIMEOUT) {
+      throw new Error(`${label} must be an integer between 0 and ${Constants.LIMITS.MAX_QUERY_TIMEOUT} (0 disables the timeout)`);
+    }
+    return numeric;
+  }
+
+  ensureOptionalCount(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    const numeric = Number(value);
+    if (!Number.isInteger(numeric) || numeric < 0) {
+      throw new Error(`${label} must be a non-negative integer`);
+    }
+    return numeric;
+  }
+
   ensurePort(port, fallback) {
     if (port === undefined || port === null || port === '') {
       return fallback;
@@ -48,18 +89,73 @@ class Validation {
     return numeric;
   }
 
-  ensureTableName(name) {
-    const trimmed = this.ensureString(name, 'Table name');
+  ensureIdentifier(value, label) {
+    const trimmed = this.ensureString(value, label);
     const pattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
     if (!pattern.test(trimmed)) {
-      throw new Error('Table name may contain only letters, digits and underscores, starting with letter or underscore');
+      throw new Error(`${label} may contain only letters, digits and underscores, starting with letter or underscore`);
     }
     if (trimmed.length > Constants.LIMITS.MAX_TABLE_NAME_LENGTH) {
-      throw new Error(`Table name must be ${Constants.LIMITS.MAX_TABLE_NAME_LENGTH} characters or less`);
+      throw new Error(`${label} must be ${Constants.LIMITS.MAX_TABLE_NAME_LENGTH} characters or less`);
     }
     return trimmed;
   }
 
+  ensureTableName(name) {
+    return this.ensureIdentifier(name, 'Table name');
+  }
+
+  ensureTableReference(tableName, schema) {
+    const raw = this.ensureString(tableName, 'Table name');
+    const parts = raw.split('.');
+    if (parts.length > 2) {
+      throw new Error('Table name must be either table or schema.table');
+    }
+
+    const [schemaPart, tablePart] = parts.length === 2 ? parts : [undefined, parts[0]];
+    const explicitSchema = this.ensureOptionalString(schema, 'Schema name');
+    if (schemaPart && explicitSchema && schemaPart !== explicitSchema) {
+      throw new Error(`Schema '${explicitSchema}' conflicts with qualified table name '${raw}'`);
+    }
+
+    const schemaName = schemaPart ?? explicitSchema;
+    return {
+      schema: schemaName === undefined ? undefined : this.ensureIdentifier(schemaName, 'Schema name'),
+      table: this.ensureTableName(tablePart),
+    };
+  }
+
+  ensureIdentifierList(list, label) {
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(`${label} list must be a non-empty array`);
+    }
+    const names = list.map((name) => this.ensureIdentifier(name, `${label} name`));
+    if (new Set(names).size !== names.length) {
+      throw new Error(`${label} list must not contain duplicates`);
+    }
+    return names;
+  }
+
+  ensureColumnMap(map) {
+    if (map === undefined || map === null) {
+      return {};
+    }
+    if (typeof map !== 'object' || Array.isArray(map)) {
+      throw new Error('column_map must be an object of source field to column name');
+    }
+    return Object.fromEntries(
+      Object.entries(map).map(([source, target]) => [source, this.ensureIdentifier(target, 'Column name')])
+    );
+  }
+
+  ensureEnum(value, allowed, label) {
+    const normalized = this.ensureString(value, label).toLowerCase();
+    if (!allowed.includes(normalized)) {
+      throw new Error(`${label} must be one of: ${allowed.join(', ')}`);
+    }
+    return normalized;
+  }
+
   ensureDataObject(data) {
     if (typeof data !== 'object' || data === null || Array.isArray(data)) {
       throw new Error('Data must be an object');
@@ -100,6 +196,29 @@ class Validation {
     return this.ensureString(sql, 'SQL query');
   }
 
+  ensureTransactionSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Transaction steps must be a non-empty array');
+    }
+    if (steps.length > Constants.LIMITS.MAX_TRANSACTION_STEPS) {
+      throw new Error(`Transaction may contain at most ${Constants.LIMITS.MAX_TRANSACTION_STEPS} steps`);
+    }
+
+    return steps.map((step, index) => {
+      if (typeof step !== 'object' || step === null || Array.isArray(step)) {
+        throw new Error(`Transaction step ${index + 1} must be an object with sql`);
+      }
+      if (step.params !== undefined && step.params !== null && !Array.isArray(step.params)) {
+        throw new Error(`Transaction step ${index + 1} params must be an array`);
+      }
+      return {
+        sql: this.ensureString(step.sql, `Transaction step ${index + 1} SQL`),
+        params: Array.isArray(step.params) ? step.params : undefined,
+        savepoint: step.savepoint === true,
+      };
+    });
+  }
+
   ensureWhereClause(where) {
     return this.ensureString(where, 'WHERE clause');
   }
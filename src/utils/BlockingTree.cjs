@@ -0,0 +1,55 @@
+/**
+ * Построение деревьев блокировок из pg_blocking_pids
+ */
+class BlockingTree {
+  /**
+   * Сессии, сгруппированные в деревья «блокирующий → заблокированные»
+   * @param {object[]} sessions - строки с полями pid и blocked_by (массив pid)
+   * @returns {object[]} корневые блокирующие сессии с вложенным списком blocks
+   */
+  static build(sessions) {
+    const byPid = new Map(sessions.map((session) => [session.pid, session]));
+    const children = new Map();
+
+    for (const session of sessions) {
+      for (const blocker of session.blocked_by) {
+        if (!children.has(blocker)) {
+          children.set(blocker, []);
+        }
+        children.get(blocker).push(session.pid);
+      }
+    }
+
+    // корни — блокирующие сессии, которые сами никого не ждут; циклы разрываем по первому pid
+    const roots = [...children.keys()].filter((pid) => (byPid.get(pid)?.blocked_by.length ?? 0) === 0);
+    const visited = new Set();
+
+    const visit = (pid) => {
+      visited.add(pid);
+      const session = byPid.get(pid) ?? { pid, blocked_by: [] };
+      const blocks = (children.get(pid) ?? [])
+        .filter((child) => !visited.has(child))
+        .map((child) => visit(child));
+      return { ...session, blocks };
+    };
+
+    const trees = roots.sort((a, b) => a - b).map((pid) => visit(pid));
+    for (const pid of [...children.keys()].sort((a, b) => a - b)) {
+      if (!visited.has(pid)) {
+        trees.push({ ...visit(pid), cycle: true });
+      }
+    }
+    return trees;
+  }
+
+  /**
+   * Число сессий, которые прямо или косвенно ждут корень дерева
+   * @param {object} node - узел из build
+   * @returns {number} размер поддерева без корня
+   */
+  static countBlocked(node) {
+    return node.blocks.reduce((sum, child) => sum + 1 + this.countBlocked(child), 0);
+  }
+}
+
+module.exports = BlockingTree;
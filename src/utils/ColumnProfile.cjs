@@ -0,0 +1,179 @@
+const Constants = require('../constants/Constants.cjs');
+const ResultSerializer = require('./ResultSerializer.cjs');
+
+const NUMERIC_TYPES = new Set(['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision']);
+const LENGTH_PERCENTILES = [0.25, 0.5, 0.75, 0.9];
+
+function truncateValue(value) {
+  if (typeof value !== 'string' || value.length <= Constants.LIMITS.PROFILE_VALUE_LENGTH) {
+    return value;
+  }
+  return `${value.slice(0, Constants.LIMITS.PROFILE_VALUE_LENGTH)}…`;
+}
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+/**
+ * Профиль колонок таблицы: по pg_stats или по выборке TABLESAMPLE
+ */
+class ColumnProfile {
+  static isNumeric(column) {
+    return NUMERIC_TYPES.has(column.base_type);
+  }
+
+  static isText(column) {
+    return column.category === 'S';
+  }
+
+  static get LENGTH_PERCENTILES() {
+    return LENGTH_PERCENTILES;
+  }
+
+  /**
+   * Оценка числа различных значений по выборке (оценщик Duj1, как в ANALYZE)
+   * @param {number} sampled - непустых строк в выборке
+   * @param {number} distinct - различных значений в выборке
+   * @param {number} singletons - значений, встретившихся один раз
+   * @param {number} total - оценка непустых строк в таблице
+   * @returns {number} приближённое число различных значений
+   */
+  static estimateDistinct(sampled, distinct, singletons, total) {
+    if (sampled === 0 || distinct === 0) {
+      return 0;
+    }
+    if (total <= sampled) {
+      return distinct;
+    }
+    // все значения уникальны — колонка, вероятно, уникальна целиком
+    if (singletons === sampled) {
+      return Math.round(total);
+    }
+    const estimate = (sampled * distinct) / (sampled - singletons + (singletons * sampled) / total);
+    return Math.round(Math.min(Math.max(estimate, distinct), total));
+  }
+
+  /**
+   * Профиль колонки по строке pg_stats
+   * @param {object} column - колонка { name, type, base_type, category, delimiter, nullable }
+   * @param {object|undefined} stats - строка pg_stats
+   * @param {number} totalRows - оценка числа строк (reltuples)
+   * @param {number} top - сколько частых значений вернуть
+   * @returns {object} профиль колонки
+   */
+  static fromStats(column, stats, totalRows, top) {
+    const base = { name: column.name, type: column.type, nullable: column.nullable };
+    if (!stats) {
+      return { ...base, analyzed: false };
+    }
+
+    const nullRatio = Number(stats.null_frac);
+    const nDistinct = Number(stats.n_distinct);
+    const values = stats.most_common_vals ? ResultSerializer.parseArray(stats.most_common_vals, column.delimiter) : [];
+    const frequencies = (stats.most_common_freqs ?? []).map(Number);
+    const bounds = stats.histogram_bounds ? ResultSerializer.parseArray(stats.histogram_bounds, column.delimiter) : [];
+
+    const profile = {
+      ...base,
+      analyzed: true,
+      null_ratio: round(nullRatio),
+      distinct_estimate: nDistinct >= 0 ? nDistinct : Math.round(-nDistinct * totalRows),
+      most_common: values.slice(0, top).map((value, index) => ({
+        value: truncateValue(value),
+        frequency: round(frequencies[index]),
+      })),
+      ...this.statsRange(column, values, bounds),
+    };
+
+    if (this.isText(column)) {
+      profile.length = { avg_bytes: Number(stats.avg_width) };
+    }
+    if (this.isNumeric(column) && bounds.length > 1) {
+      // границы pg_stats равночастотные: каждая корзина покрывает одинаковую долю значений вне MCV
+      const share = (1 - nullRatio - frequencies.reduce((sum, value) => sum + value, 0)) / (bounds.length - 1);
+      profile.histogram = bounds.slice(1).map((to, index) => ({
+        from: Number(bounds[index]),
+        to: Number(to),
+        fraction: round(share),
+      }));
+    }
+    return profile;
+  }
+
+  static statsRange(column, values, bounds) {
+    if (this.isNumeric(column)) {
+      const numbers = [...values, ...bounds].filter((value) => value !== null).map(Number).filter(Number.isFinite);
+      return numbers.length > 0 ? { min: Math.min(...numbers), max: Math.max(...numbers) } : {};
+    }
+    if (bounds.length > 0) {
+      return { min: truncateValue(bounds[0]), max: truncateValue(bounds[bounds.length - 1]) };
+    }
+    return {};
+  }
+
+  /**
+   * Профиль колонки по агрегатам выборки
+   * @param {object} column - колонка
+   * @param {object} aggregates - { sampled, non_null, min, max, length, distinct, singletons, common, histogram }
+   * @param {number} totalRows - оценка числа строк
+   * @returns {object} профиль колонки
+   */
+  static fromSample(column, aggregates, totalRows) {
+    const { sampled, non_null: nonNull } = aggregates;
+    const nullRatio = sampled > 0 ? (sampled - nonNull) / sampled : null;
+    const profile = {
+      name: column.name,
+      type: column.type,
+      nullable: column.nullable,
+      null_ratio: round(nullRatio),
+      distinct_in_sample: aggregates.distinct,
+      distinct_estimate: this.estimateDistinct(
+        nonNull,
+        aggregates.distinct,
+        aggregates.singletons,
+        Math.max(totalRows, sampled) * (1 - (nullRatio ?? 0))
+      ),
+      min: this.isNumeric(column) && aggregates.min !== null ? Number(aggregates.min) : truncateValue(aggregates.min),
+      max: this.isNumeric(column) && aggregates.max !== null ? Number(aggregates.max) : truncateValue(aggregates.max),
+      most_common: aggregates.common.map((entry) => ({
+        value: truncateValue(entry.value),
+        count: entry.count,
+        frequency: round(sampled > 0 ? entry.count / sampled : null),
+      })),
+    };
+
+    if (aggregates.length) {
+      profile.length = aggregates.length;
+    }
+    if (aggregates.histogram) {
+      profile.histogram = aggregates.histogram;
+    }
+    return profile;
+  }
+
+  /**
+   * Равноширинная гистограмма по счётчикам width_bucket
+   * @param {number} min - нижняя граница
+   * @param {number} max - верхняя граница
+   * @param {number} buckets - число корзин
+   * @param {object[]} rows - строки { bucket, count }
+   * @param {number} nonNull - непустых значений в выборке
+   * @returns {object[]} корзины { from, to, count, fraction }
+   */
+  static widthHistogram(min, max, buckets, rows, nonNull) {
+    const width = (max - min) / buckets;
+    const counts = new Map(rows.map((row) => [Number(row.bucket), Number(row.count)]));
+    return Array.from({ length: buckets }, (_, index) => {
+      const count = counts.get(index + 1) ?? 0;
+      return {
+        from: round(min + width * index, 6),
+        to: round(index === buckets - 1 ? max : min + width * (index + 1), 6),
+        count,
+        fraction: round(nonNull > 0 ? count / nonNull : 0),
+      };
+    });
+  }
+}
+
+module.exports = ColumnProfile;
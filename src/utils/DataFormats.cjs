@@ -0,0 +1,256 @@
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Кодирование строк результатов в текстовые форматы выгрузки и чтение файлов загрузки
+ */
+class DataFormats {
+  static get FORMATS() {
+    return ['csv', 'tsv', 'jsonl', 'json'];
+  }
+
+  /**
+   * Проверка поддерживаемого формата
+   * @param {string} format - имя формата
+   * @returns {string} нормализованное имя формата
+   */
+  static ensureFormat(format) {
+    const normalized = String(format ?? 'csv').trim().toLowerCase();
+    if (!this.FORMATS.includes(normalized)) {
+      throw new Error(`Format must be one of: ${this.FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Значение ячейки в виде строки для CSV/TSV
+   * @param {*} value - значение из pg
+   * @returns {string|null} строка или null для NULL
+   */
+  static toText(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+      return `\\x${value.toString('hex')}`;
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Значение ячейки, пригодное для JSON
+   * @param {*} value - значение из pg
+   * @returns {*} значение без Buffer
+   */
+  static toJson(value) {
+    return Buffer.isBuffer(value) ? `\\x${value.toString('hex')}` : value;
+  }
+
+  static csvCell(value) {
+    const text = this.toText(value);
+    if (text === null) {
+      return '';
+    }
+    if (text === '' || /[",\r\n]/.test(text) || text.trim() !== text) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  static tsvCell(value) {
+    const text = this.toText(value);
+    if (text === null) {
+      return '\\N';
+    }
+    return text
+      .replace(/\\/g, '\\\\')
+      .replace(/\t/g, '\\t')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+  }
+
+  /**
+   * Начало файла (заголовок CSV/TSV или открывающая скобка JSON)
+   * @param {string} format - формат выгрузки
+   * @param {string[]} columns - имена колонок
+   * @returns {string} текст заголовка
+   */
+  static header(format, columns) {
+    switch (format) {
+      case 'csv':
+        return `${columns.map((name) => this.csvCell(name)).join(',')}\n`;
+      case 'tsv':
+        return `${columns.map((name) => this.tsvCell(name)).join('\t')}\n`;
+      case 'json':
+        return '[';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Одна строка результата в выбранном формате
+   * @param {string} format - формат выгрузки
+   * @param {object} row - строка из pg
+   * @param {string[]} columns - порядок колонок
+   * @param {boolean} first - первая ли это строка файла
+   * @returns {string} закодированная строка
+   */
+  static encodeRow(format, row, columns, first) {
+    switch (format) {
+      case 'csv':
+        return `${columns.map((name) => this.csvCell(row[name])).join(',')}\n`;
+      case 'tsv':
+        return `${columns.map((name) => this.tsvCell(row[name])).join('\t')}\n`;
+      case 'jsonl':
+        return `${JSON.stringify(this.jsonRow(row, columns))}\n`;
+      case 'json':
+        return `${first ? '\n' : ',\n'}${JSON.stringify(this.jsonRow(row, columns))}`;
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  }
+
+  static jsonRow(row, columns) {
+    return Object.fromEntries(columns.map((name) => [name, this.toJson(row[name])]));
+  }
+
+  /**
+   * Завершение файла
+   * @param {string} format - формат выгрузки
+   * @param {number} rowCount - число записанных строк
+   * @returns {string} текст окончания
+   */
+  static footer(format, rowCount) {
+    if (format !== 'json') {
+      return '';
+    }
+    return rowCount > 0 ? '\n]\n' : ']\n';
+  }
+
+  /**
+   * Потоковое чтение CSV (RFC 4180): кавычки, экранирование "", переводы строк внутри полей
+   * @param {string} filePath - путь к файлу
+   * @returns {AsyncGenerator<Array<string|null>>} записи; пустое поле без кавычек — null
+   */
+  static async *readCsv(filePath) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let fieldQuoted = false;
+    let justClosedQuote = false;
+
+    const pushField = () => {
+      record.push(fieldQuoted || field !== '' ? field : null);
+      field = '';
+      fieldQuoted = false;
+    };
+
+    for await (const chunk of stream) {
+      for (const char of chunk) {
+        if (inQuotes) {
+          if (char === '"') {
+            inQuotes = false;
+            justClosedQuote = true;
+          } else {
+            field += char;
+          }
+          continue;
+        }
+
+        const closedQuote = justClosedQuote;
+        justClosedQuote = false;
+
+        if (char === '"') {
+          if (closedQuote) {
+            field += '"';
+            inQuotes = true;
+          } else if (field === '') {
+            inQuotes = true;
+            fieldQuoted = true;
+          } else {
+            field += char;
+          }
+        } else if (char === ',') {
+          pushField();
+        } else if (char === '\n') {
+          pushField();
+          if (record.length > 1 || record[0] !== null) {
+            yield record;
+          }
+          record = [];
+        } else if (char !== '\r') {
+          field += char;
+        }
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('CSV file ends inside a quoted field');
+    }
+    if (field !== '' || fieldQuoted || record.length > 0) {
+      pushField();
+      yield record;
+    }
+  }
+
+  /**
+   * Потоковое чтение JSON Lines
+   * @param {string} filePath - путь к файлу
+   * @returns {AsyncGenerator<object|Array>} разобранные записи
+   */
+  static async *readJsonl(filePath) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (line.trim() === '') {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Записи файла загрузки; для CSV с заголовком строки превращаются в объекты
+   * @param {string} filePath - путь к файлу
+   * @param {string} format - csv или jsonl
+   * @param {object} options - { header } для CSV
+   * @returns {AsyncGenerator<object|Array>} записи
+   */
+  static async *readRecords(filePath, format, { header = true } = {}) {
+    if (format === 'jsonl') {
+      yield* this.readJsonl(filePath);
+      return;
+    }
+    if (format !== 'csv') {
+      throw new Error('Input format must be csv or jsonl');
+    }
+
+    let names = null;
+    for await (const record of this.readCsv(filePath)) {
+      if (header && !names) {
+        names = record.map((name) => (name ?? '').trim());
+        continue;
+      }
+      yield names ? Object.fromEntries(names.map((name, index) => [name, record[index] ?? null])) : record;
+    }
+  }
+}
+
+module.exports = DataFormats;
@@ -0,0 +1,70 @@
+const { Duplex } = require('stream');
+
+/**
+ * Поток с интерфейсом net.Socket поверх асинхронно открываемого канала (ssh2 forwardOut).
+ * pg создаёт поток синхронно и вызывает connect(), поэтому канал открывается внутри connect().
+ */
+class ForwardedSocket extends Duplex {
+  /**
+   * @param {function(): Promise<Duplex>} openChannel - открытие канала до целевого хоста
+   */
+  constructor(openChannel) {
+    super();
+    this.openChannel = openChannel;
+    this.channel = null;
+  }
+
+  setNoDelay() {
+    return this;
+  }
+
+  setKeepAlive() {
+    return this;
+  }
+
+  connect() {
+    this.openChannel()
+      .then((channel) => {
+        if (this.destroyed) {
+          channel.destroy();
+          return;
+        }
+        this.channel = channel;
+        channel.on('data', (chunk) => {
+          if (!this.push(chunk)) {
+            channel.pause();
+          }
+        });
+        channel.on('end', () => this.push(null));
+        channel.on('close', () => this.destroy());
+        channel.on('error', (error) => this.destroy(error));
+        this.emit('connect');
+      })
+      .catch((error) => this.destroy(error));
+    return this;
+  }
+
+  _read() {
+    this.channel?.resume();
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.channel) {
+      this.once('connect', () => this.channel.write(chunk, encoding, callback));
+      return;
+    }
+    this.channel.write(chunk, encoding, callback);
+  }
+
+  _final(callback) {
+    this.channel?.end();
+    callback();
+  }
+
+  _destroy(error, callback) {
+    this.channel?.destroy();
+    callback(error);
+  }
+}
+
+module.exports = ForwardedSocket;
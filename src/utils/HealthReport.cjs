@@ -0,0 +1,217 @@
+const Constants = require('../constants/Constants.cjs');
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+function percent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function finding(severity, category, object, message, details = {}) {
+  return { severity, category, object, message, details };
+}
+
+/**
+ * Оценка снимка статистики PostgreSQL: находки с уровнем серьёзности
+ */
+class HealthReport {
+  /**
+   * Мёртвые строки, устаревший VACUUM, отсутствующая статистика, частые seq scan
+   * @param {object[]} tables - строки pg_stat_user_tables с размерами
+   * @param {Date} now - момент снятия снимка
+   * @returns {object[]} находки
+   */
+  static tableFindings(tables, now = new Date()) {
+    const { DEAD_TUPLES_MIN, DEAD_RATIO_WARNING, DEAD_RATIO_CRITICAL, VACUUM_STALE_MS, SEQ_SCAN_MIN_ROWS } = Constants.HEALTH;
+    const findings = [];
+
+    for (const table of tables) {
+      const name = `${table.schema}.${table.table}`;
+      const total = table.live_tuples + table.dead_tuples;
+      const deadRatio = total > 0 ? table.dead_tuples / total : 0;
+
+      if (table.dead_tuples >= DEAD_TUPLES_MIN && deadRatio >= DEAD_RATIO_WARNING) {
+        findings.push(finding(
+          deadRatio >= DEAD_RATIO_CRITICAL ? 'critical' : 'warning',
+          'bloat',
+          name,
+          `${percent(deadRatio)} of tuples are dead (${table.dead_tuples} rows); check autovacuum`,
+          { dead_tuples: table.dead_tuples, live_tuples: table.live_tuples, dead_ratio: Number(deadRatio.toFixed(4)) }
+        ));
+      }
+
+      const lastVacuum = [table.last_vacuum, table.last_autovacuum].filter(Boolean).sort((a, b) => b - a)[0];
+      if (table.dead_tuples >= DEAD_TUPLES_MIN && (!lastVacuum || now - lastVacuum >= VACUUM_STALE_MS)) {
+        findings.push(finding(
+          'info',
+          'vacuum',
+          name,
+          lastVacuum ? `Last vacuum was ${lastVacuum.toISOString()}` : 'Table has never been vacuumed',
+          { last_vacuum: table.last_vacuum, last_autovacuum: table.last_autovacuum }
+        ));
+      }
+
+      if (table.live_tuples >= DEAD_TUPLES_MIN && !table.last_analyze && !table.last_autoanalyze) {
+        findings.push(finding('warning', 'analyze', name, 'Table has never been analyzed; planner statistics are missing'));
+      }
+
+      if (table.live_tuples >= SEQ_SCAN_MIN_ROWS && table.seq_scan > (table.idx_scan ?? 0)) {
+        findings.push(finding(
+          'warning',
+          'seq_scan',
+          name,
+          `${table.seq_scan} sequential scans vs ${table.idx_scan ?? 0} index scans on ${table.live_tuples} rows`,
+          { seq_scan: table.seq_scan, seq_tup_read: table.seq_tup_read, idx_scan: table.idx_scan }
+        ));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Неиспользуемые и дублирующиеся индексы
+   * @param {object[]} indexes - строки pg_stat_user_indexes с сигнатурой определения
+   * @returns {object[]} находки
+   */
+  static indexFindings(indexes) {
+    const findings = [];
+
+    for (const index of indexes) {
+      const enforcesConstraint = index.is_unique || index.is_primary || index.backs_constraint;
+      if (index.scans === 0 && !enforcesConstraint && index.bytes >= Constants.HEALTH.UNUSED_INDEX_MIN_BYTES) {
+        findings.push(finding(
+          'warning',
+          'unused_index',
+          `${index.schema}.${index.index}`,
+          `Index on ${index.table} has not been scanned since statistics reset (${index.size})`,
+          { bytes: index.bytes, definition: index.definition }
+        ));
+      }
+    }
+
+    const groups = new Map();
+    for (const index of indexes) {
+      if (!groups.has(index.signature)) {
+        groups.set(index.signature, []);
+      }
+      groups.get(index.signature).push(index);
+    }
+    for (const group of groups.values()) {
+      if (group.length < 2) {
+        continue;
+      }
+      // уникальность входит в сигнатуру; внутри группы оставляем индекс, обеспечивающий ограничение
+      const priority = (index) => Number(Boolean(index.is_primary || index.backs_constraint)) * 2 + Number(Boolean(index.is_unique));
+      const [keep, ...duplicates] = [...group].sort((a, b) => priority(b) - priority(a));
+      for (const duplicate of duplicates) {
+        findings.push(finding(
+          'warning',
+          'duplicate_index',
+          `${duplicate.schema}.${duplicate.index}`,
+          `Index duplicates ${keep.schema}.${keep.index} on ${duplicate.table} (${duplicate.size})`,
+          { duplicate_of: keep.index, bytes: duplicate.bytes, definition: duplicate.definition }
+        ));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Доля попаданий в shared buffers для таблиц и индексов
+   * @param {object} cache - суммы heap/index hit и read
+   * @returns {object} { ratios, findings }
+   */
+  static cacheFindings(cache) {
+    const { CACHE_MIN_BLOCKS, CACHE_HIT_WARNING, CACHE_HIT_CRITICAL } = Constants.HEALTH;
+    const ratios = {};
+    const findings = [];
+
+    for (const [kind, hit, read] of [['table', cache.heap_hit, cache.heap_read], ['index', cache.index_hit, cache.index_read]]) {
+      const total = (hit ?? 0) + (read ?? 0);
+      ratios[kind] = total > 0 ? Number((hit / total).toFixed(4)) : null;
+      if (total >= CACHE_MIN_BLOCKS && ratios[kind] < CACHE_HIT_WARNING) {
+        findings.push(finding(
+          ratios[kind] < CACHE_HIT_CRITICAL ? 'critical' : 'warning',
+          'cache',
+          `${kind}_cache`,
+          `${kind === 'table' ? 'Table' : 'Index'} cache hit ratio is ${percent(ratios[kind])}`,
+          { hit, read }
+        ));
+      }
+    }
+
+    return { ratios, findings };
+  }
+
+  /**
+   * Долгие транзакции (в том числе idle in transaction)
+   * @param {object[]} sessions - сессии с transaction_ms
+   * @returns {object[]} находки
+   */
+  static transactionFindings(sessions) {
+    const { LONG_TRANSACTION_CRITICAL_MS } = Constants.HEALTH;
+    return sessions.map((session) => finding(
+      session.transaction_ms >= LONG_TRANSACTION_CRITICAL_MS ? 'critical' : 'warning',
+      'long_transaction',
+      `pid ${session.pid}`,
+      `Transaction open for ${Math.round(session.transaction_ms / 1000)}s (${session.state}); it holds back vacuum`,
+      session
+    ));
+  }
+
+  /**
+   * Отставание реплик (на первичном сервере) или самого сервера (на реплике)
+   * @param {object[]} replicas - строки с replay_lag_ms
+   * @returns {object[]} находки
+   */
+  static replicationFindings(replicas) {
+    const { REPLICATION_LAG_WARNING_MS, REPLICATION_LAG_CRITICAL_MS } = Constants.HEALTH;
+    return replicas
+      .filter((replica) => replica.replay_lag_ms >= REPLICATION_LAG_WARNING_MS)
+      .map((replica) => finding(
+        replica.replay_lag_ms >= REPLICATION_LAG_CRITICAL_MS ? 'critical' : 'warning',
+        'replication',
+        replica.name,
+        `Replay lag is ${Math.round(replica.replay_lag_ms / 1000)}s`,
+        replica
+      ));
+  }
+
+  /**
+   * Заполненность max_connections
+   * @param {object} connections - { used, max, reserved }
+   * @returns {object[]} находки
+   */
+  static connectionFindings(connections) {
+    const { CONNECTIONS_WARNING_RATIO, CONNECTIONS_CRITICAL_RATIO } = Constants.HEALTH;
+    const available = connections.max - connections.reserved;
+    const ratio = available > 0 ? connections.used / available : 1;
+    if (ratio < CONNECTIONS_WARNING_RATIO) {
+      return [];
+    }
+    return [finding(
+      ratio >= CONNECTIONS_CRITICAL_RATIO ? 'critical' : 'warning',
+      'connections',
+      'max_connections',
+      `${connections.used} of ${available} available connections in use (${percent(ratio)})`,
+      connections
+    )];
+  }
+
+  /**
+   * Сортировка находок по серьёзности и подсчёт по уровням
+   * @param {object[]} findings - все находки
+   * @returns {object} { summary, findings }
+   */
+  static rank(findings) {
+    const sorted = [...findings].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    const summary = { critical: 0, warning: 0, info: 0 };
+    for (const item of sorted) {
+      summary[item.severity] += 1;
+    }
+    return { healthy: summary.critical === 0 && summary.warning === 0, summary, findings: sorted };
+  }
+}
+
+module.exports = HealthReport;
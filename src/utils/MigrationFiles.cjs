@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const FILE_PATTERN = /^(\d+)[_-](.+?)(?:\.(up|down))?\.sql$/i;
+
+/**
+ * Чтение версионированных SQL-миграций из каталога.
+ * Имена файлов: 0001_create_users.sql или 0001_create_users.up.sql + 0001_create_users.down.sql
+ */
+class MigrationFiles {
+  /**
+   * Контрольная сумма содержимого миграции
+   * @param {string} sql - текст файла
+   * @returns {string} sha256 в hex
+   */
+  static checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+  }
+
+  /**
+   * Сравнение версий как чисел произвольной длины
+   * @param {string} a - версия
+   * @param {string} b - версия
+   * @returns {number} порядок сортировки
+   */
+  static compareVersions(a, b) {
+    const left = BigInt(a);
+    const right = BigInt(b);
+    if (left === right) {
+      return 0;
+    }
+    return left < right ? -1 : 1;
+  }
+
+  /**
+   * Проверка номера версии, переданного пользователем
+   * @param {string} value - например 003
+   * @param {string} name - имя аргумента для сообщения об ошибке
+   * @returns {string} версия без ведущих нулей, как в именах файлов
+   */
+  static ensureVersion(value, name = 'version') {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`${name} must be a migration number such as 003, got '${value}'`);
+    }
+    return BigInt(value).toString();
+  }
+
+  /**
+   * Загрузка миграций каталога, отсортированных по версии
+   * @param {string} directory - путь к каталогу
+   * @returns {Promise<object[]>} миграции { version, name, up, down }
+   */
+  static async load(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory);
+    } catch (error) {
+      throw new Error(`Cannot read migrations directory '${directory}': ${error.message}`);
+    }
+
+    const migrations = new Map();
+    for (const file of entries.sort()) {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const [, rawVersion, name, direction = 'up'] = match;
+      const version = BigInt(rawVersion).toString();
+      const sql = await fs.readFile(path.join(directory, file), 'utf8');
+      const migration = migrations.get(version) ?? { version, name };
+
+      const key = direction.toLowerCase();
+      if (migration[key]) {
+        throw new Error(`Duplicate ${key} migration for version ${version}: ${migration[key].file} and ${file}`);
+      }
+      migration[key] = { file, sql, checksum: this.checksum(sql) };
+      migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version} has a down file but no up file`);
+      }
+    }
+
+    return [...migrations.values()].sort((a, b) => this.compareVersions(a.version, b.version));
+  }
+}
+
+module.exports = MigrationFiles;
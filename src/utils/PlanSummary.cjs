@@ -0,0 +1,108 @@
+const Constants = require('../constants/Constants.cjs');
+
+/**
+ * Разбор JSON-планов EXPLAIN в плоскую сводку для агентов
+ */
+class PlanSummary {
+  /**
+   * Обход дерева плана в плоский список узлов
+   * @param {object} plan - корневой узел (поле Plan из EXPLAIN FORMAT JSON)
+   * @returns {object[]} узлы с собственной стоимостью и временем
+   */
+  static flatten(plan) {
+    const nodes = [];
+
+    const visit = (node, depth) => {
+      const children = node.Plans || [];
+      const loops = node['Actual Loops'] ?? 1;
+      const childCost = children.reduce((sum, child) => sum + (child['Total Cost'] ?? 0), 0);
+      const childTime = children.reduce(
+        (sum, child) => sum + (child['Actual Total Time'] ?? 0) * (child['Actual Loops'] ?? 1),
+        0
+      );
+
+      const entry = {
+        id: nodes.length + 1,
+        depth,
+        node_type: node['Node Type'],
+        relation: node['Relation Name'],
+        index: node['Index Name'],
+        total_cost: node['Total Cost'],
+        self_cost: Number(Math.max(0, (node['Total Cost'] ?? 0) - childCost).toFixed(2)),
+        plan_rows: node['Plan Rows'],
+      };
+
+      if (node['Actual Total Time'] !== undefined) {
+        entry.actual_rows = node['Actual Rows'];
+        entry.actual_loops = loops;
+        entry.total_time_ms = Number((node['Actual Total Time'] * loops).toFixed(3));
+        entry.self_time_ms = Number(Math.max(0, node['Actual Total Time'] * loops - childTime).toFixed(3));
+      }
+
+      nodes.push(entry);
+      children.forEach((child) => visit(child, depth + 1));
+    };
+
+    visit(plan, 0);
+    return nodes;
+  }
+
+  /**
+   * Сводка по плану: дорогие узлы, seq scan по большим таблицам, ошибки оценок
+   * @param {object} explained - элемент массива EXPLAIN (FORMAT JSON)
+   * @param {Map<string, number>} relationRows - оценка строк таблиц из pg_class
+   * @returns {object} сводка плана
+   */
+  static summarize(explained, relationRows = new Map()) {
+    const { PLAN_TOP_NODES, PLAN_LARGE_TABLE_ROWS, PLAN_ESTIMATE_MISMATCH_FACTOR } = Constants.LIMITS;
+    const nodes = this.flatten(explained.Plan);
+    const analyzed = explained['Execution Time'] !== undefined;
+    const weight = analyzed ? 'self_time_ms' : 'self_cost';
+
+    const costliest = [...nodes]
+      .sort((a, b) => b[weight] - a[weight])
+      .slice(0, PLAN_TOP_NODES);
+
+    const largeSeqScans = nodes
+      .filter((node) => node.node_type === 'Seq Scan' && node.relation)
+      .map((node) => ({ ...node, table_rows: relationRows.get(node.relation) }))
+      .filter((node) => (node.table_rows ?? node.plan_rows) >= PLAN_LARGE_TABLE_ROWS);
+
+    const estimateMismatches = analyzed
+      ? nodes
+        .filter((node) => node.actual_loops > 0)
+        .map((node) => {
+          const estimated = Math.max(node.plan_rows, 1);
+          const actual = Math.max(node.actual_rows, 1);
+          return { ...node, factor: Number((Math.max(estimated, actual) / Math.min(estimated, actual)).toFixed(1)) };
+        })
+        .filter((node) => node.factor >= PLAN_ESTIMATE_MISMATCH_FACTOR)
+        .sort((a, b) => b.factor - a.factor)
+      : [];
+
+    return {
+      analyzed,
+      total_cost: explained.Plan['Total Cost'],
+      planning_time_ms: explained['Planning Time'],
+      execution_time_ms: explained['Execution Time'],
+      node_count: nodes.length,
+      costliest_nodes: costliest,
+      seq_scans_on_large_tables: largeSeqScans,
+      row_estimate_mismatches: estimateMismatches,
+    };
+  }
+
+  /**
+   * Имена таблиц, которые план читает последовательным сканированием
+   * @param {object} explained - элемент массива EXPLAIN (FORMAT JSON)
+   * @returns {string[]} уникальные имена таблиц
+   */
+  static seqScanRelations(explained) {
+    const names = this.flatten(explained.Plan)
+      .filter((node) => node.node_type === 'Seq Scan' && node.relation)
+      .map((node) => node.relation);
+    return [...new Set(names)];
+  }
+}
+
+module.exports = PlanSummary;
@@ -0,0 +1,97 @@
+/**
+ * Нормализация строк aclexplode и pg_policy в матрицу «объект × получатель → привилегии»
+ */
+
+const PRIVILEGE_ORDER = [
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'TRUNCATE', 'REFERENCES', 'TRIGGER', 'MAINTAIN',
+  'USAGE', 'CREATE', 'EXECUTE', 'CONNECT', 'TEMPORARY',
+];
+
+function privilegeRank(privilege) {
+  const index = PRIVILEGE_ORDER.indexOf(privilege);
+  return index === -1 ? PRIVILEGE_ORDER.length : index;
+}
+
+function sortPrivileges(privileges) {
+  return [...privileges].sort((a, b) => privilegeRank(a) - privilegeRank(b) || a.localeCompare(b));
+}
+
+class PrivilegeMatrix {
+  /**
+   * Группировка привилегий по объекту и получателю
+   * @param {object[]} grants - строки { object_type, object, column_name, owner, grantee, privilege_type, is_grantable }
+   * @param {string} [role] - роль, для которой через via показывается, откуда унаследовано право
+   * @returns {object[]} строки матрицы { object_type, object, column, owner, grantee, via, privileges, grantable }
+   */
+  static build(grants, role) {
+    const entries = new Map();
+    for (const grant of grants) {
+      const key = [grant.object_type, grant.object, grant.column_name ?? '', grant.grantee].join('\u0000');
+      if (!entries.has(key)) {
+        entries.set(key, {
+          object_type: grant.object_type,
+          object: grant.object,
+          column: grant.column_name ?? undefined,
+          owner: grant.owner,
+          grantee: grant.grantee,
+          via: role && grant.grantee !== role ? grant.grantee : undefined,
+          privileges: new Set(),
+          grantable: new Set(),
+        });
+      }
+
+      const entry = entries.get(key);
+      entry.privileges.add(grant.privilege_type);
+      if (grant.is_grantable) {
+        entry.grantable.add(grant.privilege_type);
+      }
+    }
+
+    return [...entries.values()]
+      .map((entry) => ({
+        ...entry,
+        privileges: sortPrivileges(entry.privileges),
+        grantable: sortPrivileges(entry.grantable),
+      }))
+      .sort((a, b) => a.object.localeCompare(b.object)
+        || (a.column ?? '').localeCompare(b.column ?? '')
+        || a.grantee.localeCompare(b.grantee));
+  }
+
+  /**
+   * Таблицы с RLS и их политики
+   * @param {object[]} rows - строки pg_class LEFT JOIN pg_policy
+   * @param {Set<string>} [effectiveRoles] - роли, политики которых оставить (PUBLIC подходит всегда)
+   * @returns {object[]} { table, enabled, forced, policies }
+   */
+  static policies(rows, effectiveRoles) {
+    const tables = new Map();
+    for (const row of rows) {
+      if (!tables.has(row.table)) {
+        tables.set(row.table, { table: row.table, enabled: row.rls_enabled, forced: row.rls_forced, defined: 0, policies: [] });
+      }
+      if (!row.name) {
+        continue;
+      }
+      tables.get(row.table).defined += 1;
+      if (effectiveRoles && !row.roles.some((name) => name === 'PUBLIC' || effectiveRoles.has(name))) {
+        continue;
+      }
+      tables.get(row.table).policies.push({
+        name: row.name,
+        command: row.command,
+        permissive: row.permissive,
+        roles: row.roles,
+        using: row.using,
+        with_check: row.with_check,
+      });
+    }
+
+    return [...tables.values()].map(({ defined, ...table }) => (
+      // RLS без политик означает запрет всех строк для всех, кроме владельца и BYPASSRLS
+      table.enabled && defined === 0 ? { ...table, default_deny: true } : table
+    ));
+  }
+}
+
+module.exports = PrivilegeMatrix;
@@ -0,0 +1,115 @@
+/**
+ * Описание и привязка параметров сохранённых запросов.
+ * Параметр: { name, type: string|integer|number|boolean|json|any, description, required, default }
+ */
+
+const TYPES = ['string', 'integer', 'number', 'boolean', 'json', 'any'];
+const NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return true;
+  }
+}
+
+class QueryParams {
+  static get TYPES() {
+    return TYPES;
+  }
+
+  /**
+   * Проверка схемы параметров
+   * @param {object[]} params - описания параметров в порядке $1..$n
+   * @param {number} placeholders - старший номер $n в тексте запроса
+   * @returns {object[]} нормализованные описания
+   */
+  static normalize(params = [], placeholders) {
+    if (!Array.isArray(params)) {
+      throw new Error('params must be an array of parameter definitions');
+    }
+    if (params.length !== placeholders) {
+      throw new Error(`Query uses ${placeholders} placeholder(s) but ${params.length} parameter(s) are described`);
+    }
+
+    const seen = new Set();
+    return params.map((param, index) => {
+      const definition = typeof param === 'string' ? { name: param } : param;
+      if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+        throw new Error(`params[${index}] must be an object or a name`);
+      }
+
+      const name = String(definition.name ?? '').trim();
+      if (!NAME.test(name)) {
+        throw new Error(`params[${index}].name must be an identifier`);
+      }
+      if (seen.has(name)) {
+        throw new Error(`Duplicate parameter name '${name}'`);
+      }
+      seen.add(name);
+
+      const type = String(definition.type ?? 'any').trim().toLowerCase();
+      if (!TYPES.includes(type)) {
+        throw new Error(`params[${index}].type must be one of: ${TYPES.join(', ')}`);
+      }
+
+      const normalized = { name, type, required: definition.default === undefined && definition.required !== false };
+      if (definition.description !== undefined) {
+        normalized.description = String(definition.description);
+      }
+      if (definition.default !== undefined) {
+        if (definition.default !== null && !matchesType(definition.default, type)) {
+          throw new Error(`Default for parameter '${name}' must be of type ${type}`);
+        }
+        normalized.default = definition.default;
+      }
+      return normalized;
+    });
+  }
+
+  /**
+   * Значения для $1..$n по описаниям параметров
+   * @param {object[]} definitions - результат normalize
+   * @param {object|Array} input - значения по имени или по позиции
+   * @returns {Array} значения в порядке плейсхолдеров
+   */
+  static bind(definitions, input = {}) {
+    const positional = Array.isArray(input);
+    if (!positional && (typeof input !== 'object' || input === null)) {
+      throw new Error('params must be an object keyed by parameter name or an array');
+    }
+    if (positional && input.length > definitions.length) {
+      throw new Error(`Expected at most ${definitions.length} parameter(s), got ${input.length}`);
+    }
+    if (!positional) {
+      const unknown = Object.keys(input).filter((key) => !definitions.some((definition) => definition.name === key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown parameter(s): ${unknown.join(', ')}`);
+      }
+    }
+
+    return definitions.map((definition, index) => {
+      let value = positional ? input[index] : input[definition.name];
+      if (value === undefined) {
+        if (definition.required) {
+          throw new Error(`Parameter '${definition.name}' is required`);
+        }
+        value = definition.default ?? null;
+      }
+      if (value !== null && !matchesType(value, definition.type)) {
+        throw new Error(`Parameter '${definition.name}' must be of type ${definition.type}`);
+      }
+      return definition.type === 'json' && value !== null ? JSON.stringify(value) : value;
+    });
+  }
+}
+
+module.exports = QueryParams;
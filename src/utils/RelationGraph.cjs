@@ -0,0 +1,170 @@
+/**
+ * Граф связей таблиц по внешним ключам: окрестность таблицы и отрисовка в Mermaid и Graphviz DOT
+ */
+
+// Mermaid понимает в именах только ASCII: несовпадающее с исходным имя получает суффикс
+// для уникальности, а настоящее имя выводится алиасом сущности или комментарием атрибута
+function mermaidName(value, used, fallback) {
+  let name = String(value).replace(/[^A-Za-z0-9_]/g, '_');
+  if (!/[A-Za-z0-9]/.test(name)) {
+    name = fallback;
+  }
+  if (!/^[A-Za-z_]/.test(name)) {
+    name = `_${name}`;
+  }
+  let candidate = name;
+  for (let suffix = 2; used.has(candidate); suffix += 1) {
+    candidate = `${name}_${suffix}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+function mermaidText(value) {
+  return String(value).replace(/"/g, "'");
+}
+
+function mermaidType(type) {
+  // typmod остаётся как есть (numeric(10,2)), public.status → public_status, character varying → character_varying
+  const name = String(type).replace(/,\s+/g, ',').replace(/[\s.]+/g, '_').replace(/[^A-Za-z0-9_,\-[\]()]/g, '');
+  if (!/[A-Za-z]/.test(name)) {
+    return 'type';
+  }
+  return /^[A-Za-z]/.test(name) ? name : `t_${name}`;
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function htmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class RelationGraph {
+  /**
+   * Таблицы в пределах depth переходов по внешним ключам в обе стороны
+   * @param {object[]} edges - рёбра { from, to }
+   * @param {string} start - id стартовой таблицы (schema.table)
+   * @param {number} depth - число переходов
+   * @returns {Set<string>} id найденных таблиц
+   */
+  static neighborhood(edges, start, depth) {
+    const adjacent = new Map();
+    const link = (a, b) => {
+      if (!adjacent.has(a)) {
+        adjacent.set(a, new Set());
+      }
+      adjacent.get(a).add(b);
+    };
+    for (const edge of edges) {
+      link(edge.from, edge.to);
+      link(edge.to, edge.from);
+    }
+
+    const visited = new Set([start]);
+    let frontier = [start];
+    for (let level = 0; level < depth && frontier.length > 0; level += 1) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbour of adjacent.get(id) ?? []) {
+          if (!visited.has(neighbour)) {
+            visited.add(neighbour);
+            next.push(neighbour);
+          }
+        }
+      }
+      frontier = next;
+    }
+    return visited;
+  }
+
+  /**
+   * Диаграмма Mermaid erDiagram
+   * @param {{nodes: object[], edges: object[]}} graph - узлы и рёбра
+   * @returns {string} текст диаграммы
+   */
+  static mermaid({ nodes, edges }) {
+    // короткое имя таблицы, если оно не повторяется в разных схемах
+    const counts = new Map();
+    for (const node of nodes) {
+      counts.set(node.name, (counts.get(node.name) ?? 0) + 1);
+    }
+    const used = new Set();
+    const names = new Map();
+    const lines = ['erDiagram'];
+    for (const node of nodes) {
+      const label = counts.get(node.name) > 1 ? `${node.schema}.${node.name}` : node.name;
+      const name = mermaidName(label, used, 'entity');
+      names.set(node.id, name);
+      const entity = name === label ? name : `${name}["${mermaidText(label)}"]`;
+      if (!node.columns || node.columns.length === 0) {
+        lines.push(`  ${entity}`);
+        continue;
+      }
+      lines.push(`  ${entity} {`);
+      const columnNames = new Set();
+      for (const column of node.columns) {
+        const columnName = mermaidName(column.name, columnNames, 'column');
+        const keys = [column.primary_key && 'PK', column.foreign_key && 'FK'].filter(Boolean).join(',');
+        const comment = columnName === column.name ? '' : ` "${mermaidText(column.name)}"`;
+        lines.push(`    ${mermaidType(column.type)} ${columnName}${keys ? ` ${keys}` : ''}${comment}`);
+      }
+      lines.push('  }');
+    }
+
+    for (const edge of edges) {
+      const parent = edge.nullable ? '|o' : '||';
+      const child = edge.unique ? 'o|' : 'o{';
+      const label = edge.from_columns.join(', ').replace(/"/g, "'");
+      lines.push(`  ${names.get(edge.to)} ${parent}--${child} ${names.get(edge.from)} : "${label}"`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Граф Graphviz DOT с таблицами в виде HTML-меток
+   * @param {{nodes: object[], edges: object[]}} graph - узлы и рёбра
+   * @returns {string} текст digraph
+   */
+  static dot({ nodes, edges }) {
+    const withColumns = new Set();
+    const lines = [
+      'digraph erd {',
+      '  graph [rankdir=LR];',
+      '  node [shape=plaintext, fontname="Helvetica"];',
+      '  edge [fontname="Helvetica", fontsize=10];',
+    ];
+
+    for (const node of nodes) {
+      if (!node.columns || node.columns.length === 0) {
+        lines.push(`  ${dotString(node.id)} [shape=box, label=${dotString(node.id)}${node.external ? ', style=dashed' : ''}];`);
+        continue;
+      }
+      withColumns.add(node.id);
+      const rows = node.columns.map((column) => {
+        const keys = [column.primary_key && 'PK', column.foreign_key && 'FK'].filter(Boolean).join(', ');
+        const text = `${column.name} : ${column.type}${keys ? ` (${keys})` : ''}`;
+        return `<tr><td port="${htmlEscape(column.name)}" align="left">${htmlEscape(text)}</td></tr>`;
+      });
+      const header = `<tr><td bgcolor="lightgrey"><b>${htmlEscape(node.id)}</b></td></tr>`;
+      lines.push(`  ${dotString(node.id)} [label=<<table border="0" cellborder="1" cellspacing="0">${header}${rows.join('')}</table>>];`);
+    }
+
+    const endpoint = (id, column) => (withColumns.has(id) ? `${dotString(id)}:${dotString(column)}` : dotString(id));
+    for (const edge of edges) {
+      const from = endpoint(edge.from, edge.from_columns[0]);
+      const to = endpoint(edge.to, edge.to_columns[0]);
+      lines.push(`  ${from} -> ${to} [label=${dotString(edge.name)}];`);
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = RelationGraph;
@@ -0,0 +1,203 @@
+const Constants = require('../constants/Constants.cjs');
+
+const EXACT_NUMBERS = new Set(['bigint', 'numeric', 'money']);
+const PLAIN_NUMBERS = new Set(['smallint', 'integer', 'oid', 'real', 'double precision']);
+const TIMESTAMP = /^(\d{4,}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?:([+-]\d{2})(?::(\d{2}))?(?::(\d{2}))?)?$/;
+
+/**
+ * Сериализация результатов запросов с учётом типов PostgreSQL.
+ * Режим raw — значения в том виде, в каком их разбирает pg;
+ * режим typed — bigint/numeric/money как строки с тегом типа, bytea в base64/hex с обрезкой,
+ * timestamp в ISO-8601 (timestamptz со смещением), json/jsonb как есть, массивы поэлементно.
+ */
+class ResultSerializer {
+  static get MODES() {
+    return ['raw', 'typed'];
+  }
+
+  /**
+   * Парсеры pg, возвращающие текстовое представление без преобразований
+   */
+  static get TEXT_TYPES() {
+    return { getTypeParser: () => (value) => value };
+  }
+
+  /**
+   * Проверка параметров сериализации
+   * @param {object} args - { serialization, bytea_encoding, max_bytes }
+   * @returns {object} { mode, byteaEncoding, maxBytes }
+   */
+  static ensureOptions(args = {}) {
+    const mode = String(args.serialization ?? 'raw').trim().toLowerCase();
+    if (!this.MODES.includes(mode)) {
+      throw new Error(`serialization must be one of: ${this.MODES.join(', ')}`);
+    }
+
+    const byteaEncoding = String(args.bytea_encoding ?? 'base64').trim().toLowerCase();
+    if (!['base64', 'hex'].includes(byteaEncoding)) {
+      throw new Error('bytea_encoding must be base64 or hex');
+    }
+
+    const maxBytes = args.max_bytes === undefined || args.max_bytes === null
+      ? Constants.LIMITS.BYTEA_PREVIEW_BYTES
+      : Number(args.max_bytes);
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+      throw new Error('max_bytes must be a non-negative integer');
+    }
+
+    return { mode, byteaEncoding, maxBytes };
+  }
+
+  /**
+   * Разбор текстового литерала массива PostgreSQL
+   * @param {string} text - литерал вида {1,"a b",NULL,{2,3}}
+   * @param {string} delimiter - разделитель элементов (typdelim)
+   * @returns {Array} вложенные массивы строк и null
+   */
+  static parseArray(text, delimiter = ',') {
+    let position = text.startsWith('[') ? text.indexOf('=') + 1 : 0;
+
+    const expect = (condition) => {
+      if (!condition || position >= text.length) {
+        throw new Error(`Malformed array literal: ${text}`);
+      }
+    };
+
+    const parseLevel = () => {
+      expect(text[position] === '{');
+      position += 1;
+      const items = [];
+      if (text[position] === '}') {
+        position += 1;
+        return items;
+      }
+
+      for (;;) {
+        if (text[position] === '{') {
+          items.push(parseLevel());
+        } else if (text[position] === '"') {
+          let value = '';
+          position += 1;
+          while (text[position] !== '"') {
+            if (text[position] === '\\') {
+              position += 1;
+            }
+            expect(true);
+            value += text[position];
+            position += 1;
+          }
+          position += 1;
+          items.push(value);
+        } else {
+          let end = position;
+          while (end < text.length && text[end] !== delimiter && text[end] !== '}') {
+            end += 1;
+          }
+          const raw = text.slice(position, end);
+          position = end;
+          items.push(raw === 'NULL' ? null : raw);
+        }
+
+        expect(true);
+        if (text[position] === delimiter) {
+          position += 1;
+          continue;
+        }
+        expect(text[position] === '}');
+        position += 1;
+        return items;
+      }
+    };
+
+    return parseLevel();
+  }
+
+  static isoTimestamp(text, withZone) {
+    const match = TIMESTAMP.exec(text);
+    if (!match) {
+      return text;
+    }
+    const [, date, time, hours, minutes, seconds] = match;
+    if (!withZone || !hours) {
+      return `${date}T${time}`;
+    }
+    return `${date}T${time}${hours}:${minutes ?? '00'}${seconds ? `:${seconds}` : ''}`;
+  }
+
+  static bytea(text, options) {
+    if (!text.startsWith('\\x')) {
+      return { type: 'bytea', encoding: 'escape', value: text };
+    }
+    const buffer = Buffer.from(text.slice(2), 'hex');
+    return {
+      type: 'bytea',
+      encoding: options.byteaEncoding,
+      bytes: buffer.length,
+      truncated: buffer.length > options.maxBytes,
+      value: buffer.subarray(0, options.maxBytes).toString(options.byteaEncoding),
+    };
+  }
+
+  /**
+   * Значение колонки в режиме typed
+   * @param {string|null} text - текстовое представление из PostgreSQL
+   * @param {object} info - описание типа из pg_type { base_name, category, element }
+   * @param {object} options - результат ensureOptions
+   * @param {Map<number, object>} types - описания типов по OID (для элементов массивов)
+   * @returns {*} значение, безопасное для JSON
+   */
+  static serializeValue(text, info, options, types) {
+    if (text === null || text === undefined || !info) {
+      return text ?? null;
+    }
+
+    if (info.category === 'A' && info.element) {
+      const element = types.get(info.element);
+      const convert = (items) => items.map((item) => (
+        Array.isArray(item) ? convert(item) : this.serializeValue(item, element, options, types)
+      ));
+      return convert(this.parseArray(text, info.delimiter ?? ','));
+    }
+
+    const base = info.base_name;
+    if (EXACT_NUMBERS.has(base)) {
+      return { type: base, value: text };
+    }
+    if (PLAIN_NUMBERS.has(base)) {
+      const numeric = Number(text);
+      return Number.isFinite(numeric) ? numeric : text;
+    }
+
+    switch (base) {
+      case 'boolean':
+        return text === 't';
+      case 'json':
+      case 'jsonb':
+        return JSON.parse(text);
+      case 'bytea':
+        return this.bytea(text, options);
+      case 'timestamp with time zone':
+        return this.isoTimestamp(text, true);
+      case 'timestamp without time zone':
+        return this.isoTimestamp(text, false);
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Строки результата в режиме typed
+   * @param {object[]} rows - строки, полученные с TEXT_TYPES
+   * @param {object[]} fields - поля результата pg
+   * @param {Map<number, object>} types - описания типов по OID
+   * @param {object} options - результат ensureOptions
+   * @returns {object[]} сериализованные строки
+   */
+  static serializeRows(rows, fields, types, options) {
+    return rows.map((row) => Object.fromEntries(
+      fields.map((field) => [field.name, this.serializeValue(row[field.name], types.get(field.dataTypeID), options, types)])
+    ));
+  }
+}
+
+module.exports = ResultSerializer;
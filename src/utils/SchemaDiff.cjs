@@ -0,0 +1,219 @@
+/**
+ * Сравнение снимков каталога PostgreSQL и генерация черновика миграции
+ */
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+class SchemaDiff {
+  /**
+   * Удаление префикса схемы из определений, чтобы сравнивать разные схемы
+   * @param {string} text - определение из pg_get_*def
+   * @param {string} schema - имя схемы
+   * @returns {string} определение без квалификации схемой
+   */
+  static stripSchema(text, schema) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    const escaped = schema.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[^\\w"])(?:"${escaped}"|${escaped})\\.`, 'g');
+    return text.replace(pattern, '$1');
+  }
+
+  /**
+   * Сравнение двух словарей объектов
+   * @param {object} from - исходные объекты по имени
+   * @param {object} to - целевые объекты по имени
+   * @param {function} describeChange - возвращает описание отличий или null
+   * @returns {object} { added, removed, changed }
+   */
+  static compareMaps(from, to, describeChange) {
+    const added = Object.keys(to).filter((key) => !(key in from)).sort();
+    const removed = Object.keys(from).filter((key) => !(key in to)).sort();
+    const changed = Object.keys(from)
+      .filter((key) => key in to)
+      .sort()
+      .map((key) => {
+        const change = describeChange(from[key], to[key]);
+        return change ? { name: key, ...change } : null;
+      })
+      .filter(Boolean);
+
+    return { added, removed, changed };
+  }
+
+  static describeDefinition(fromItem, toItem) {
+    if (fromItem.definition === toItem.definition) {
+      return null;
+    }
+    return { from: fromItem.definition, to: toItem.definition };
+  }
+
+  static describeTable(fromTable, toTable) {
+    const columns = this.compareMaps(fromTable.columns, toTable.columns, (fromColumn, toColumn) => {
+      const differences = {};
+      for (const field of ['type', 'not_null', 'default']) {
+        if (fromColumn[field] !== toColumn[field]) {
+          differences[field] = { from: fromColumn[field], to: toColumn[field] };
+        }
+      }
+      return Object.keys(differences).length > 0 ? differences : null;
+    });
+
+    const unchanged = columns.added.length === 0 && columns.removed.length === 0 && columns.changed.length === 0;
+    return unchanged ? null : { columns };
+  }
+
+  /**
+   * Полное сравнение снимков
+   * @param {object} from - снимок исходной стороны
+   * @param {object} to - снимок целевой стороны
+   * @returns {object} различия по категориям
+   */
+  static compare(from, to) {
+    const diff = {
+      tables: this.compareMaps(from.tables, to.tables, (a, b) => this.describeTable(a, b)),
+      indexes: this.compareMaps(from.indexes, to.indexes, (a, b) => this.describeDefinition(a, b)),
+      constraints: this.compareMaps(from.constraints, to.constraints, (a, b) => this.describeDefinition(a, b)),
+      views: this.compareMaps(from.views, to.views, (a, b) => this.describeDefinition(a, b)),
+      functions: this.compareMaps(from.functions, to.functions, (a, b) => this.describeDefinition(a, b)),
+    };
+
+    const summary = Object.fromEntries(
+      Object.entries(diff).map(([category, entry]) => [
+        category,
+        { added: entry.added.length, removed: entry.removed.length, changed: entry.changed.length },
+      ])
+    );
+    const identical = Object.values(summary).every((entry) => entry.added + entry.removed + entry.changed === 0);
+
+    return { identical, summary, ...diff };
+  }
+
+  static columnDefinition(name, column) {
+    let definition = `${quoteIdent(name)} ${column.type}`;
+    if (column.default !== null && column.default !== undefined) {
+      definition += ` DEFAULT ${column.default}`;
+    }
+    if (column.not_null) {
+      definition += ' NOT NULL';
+    }
+    return definition;
+  }
+
+  static dropView(view) {
+    return `DROP ${view.materialized ? 'MATERIALIZED VIEW' : 'VIEW'} IF EXISTS ${quoteIdent(view.name)};`;
+  }
+
+  static createView(view) {
+    return `CREATE ${view.materialized ? 'MATERIALIZED VIEW' : 'VIEW'} ${quoteIdent(view.name)} AS\n${view.definition.trim().replace(/;$/, '')};`;
+  }
+
+  /**
+   * Черновик миграции, превращающей исходную схему в целевую.
+   * Разрушающие операции над данными (DROP TABLE/COLUMN) выводятся закомментированными.
+   * @param {object} diff - результат compare
+   * @param {object} from - снимок исходной стороны
+   * @param {object} to - снимок целевой стороны
+   * @param {string} schema - схема, к которой применяется миграция
+   * @returns {string} SQL-скрипт
+   */
+  static toMigration(diff, from, to, schema) {
+    const drops = [];
+    const tables = [];
+    const functions = [];
+    const constraints = [];
+    const foreignKeys = [];
+    const indexes = [];
+    const views = [];
+    const destructive = [];
+
+    for (const key of [...diff.constraints.removed, ...diff.constraints.changed.map((item) => item.name)]) {
+      const constraint = from.constraints[key];
+      drops.push(`ALTER TABLE ${quoteIdent(constraint.table)} DROP CONSTRAINT IF EXISTS ${quoteIdent(constraint.name)};`);
+    }
+    for (const key of [...diff.indexes.removed, ...diff.indexes.changed.map((item) => item.name)]) {
+      drops.push(`DROP INDEX IF EXISTS ${quoteIdent(key)};`);
+    }
+    for (const key of [...diff.views.removed, ...diff.views.changed.map((item) => item.name)]) {
+      drops.push(this.dropView(from.views[key]));
+    }
+
+    for (const key of diff.tables.added) {
+      const table = to.tables[key];
+      const columns = Object.entries(table.columns).map(([name, column]) => `  ${this.columnDefinition(name, column)}`);
+      tables.push(`CREATE TABLE ${quoteIdent(key)} (\n${columns.join(',\n')}\n);`);
+    }
+    for (const change of diff.tables.changed) {
+      const table = quoteIdent(change.name);
+      const toColumns = to.tables[change.name].columns;
+      for (const name of change.columns.added) {
+        tables.push(`ALTER TABLE ${table} ADD COLUMN ${this.columnDefinition(name, toColumns[name])};`);
+      }
+      for (const column of change.columns.changed) {
+        const target = toColumns[column.name];
+        const columnName = quoteIdent(column.name);
+        if (column.type) {
+          tables.push(`ALTER TABLE ${table} ALTER COLUMN ${columnName} TYPE ${target.type} USING ${columnName}::${target.type};`);
+        }
+        if (column.default) {
+          tables.push(target.default === null || target.default === undefined
+            ? `ALTER TABLE ${table} ALTER COLUMN ${columnName} DROP DEFAULT;`
+            : `ALTER TABLE ${table} ALTER COLUMN ${columnName} SET DEFAULT ${target.default};`);
+        }
+        if (column.not_null) {
+          tables.push(`ALTER TABLE ${table} ALTER COLUMN ${columnName} ${target.not_null ? 'SET' : 'DROP'} NOT NULL;`);
+        }
+      }
+      for (const name of change.columns.removed) {
+        destructive.push(`-- ALTER TABLE ${table} DROP COLUMN ${quoteIdent(name)};`);
+      }
+    }
+
+    for (const key of [...diff.functions.added, ...diff.functions.changed.map((item) => item.name)]) {
+      functions.push(`${to.functions[key].definition.trim()};`);
+    }
+    for (const key of diff.functions.removed) {
+      const fn = from.functions[key];
+      drops.push(`DROP ${fn.kind === 'p' ? 'PROCEDURE' : 'FUNCTION'} IF EXISTS ${quoteIdent(fn.name)}(${fn.arguments});`);
+    }
+
+    for (const key of [...diff.constraints.added, ...diff.constraints.changed.map((item) => item.name)]) {
+      const constraint = to.constraints[key];
+      const statement = `ALTER TABLE ${quoteIdent(constraint.table)} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition};`;
+      (constraint.type === 'f' ? foreignKeys : constraints).push(statement);
+    }
+    for (const key of [...diff.indexes.added, ...diff.indexes.changed.map((item) => item.name)]) {
+      indexes.push(`${to.indexes[key].definition};`);
+    }
+    for (const key of [...diff.views.added, ...diff.views.changed.map((item) => item.name)]) {
+      views.push(this.createView(to.views[key]));
+    }
+
+    for (const key of diff.tables.removed) {
+      destructive.push(`-- DROP TABLE ${quoteIdent(key)};`);
+    }
+
+    const sections = [
+      ['Drop changed or removed dependent objects', drops],
+      ['Tables and columns', tables],
+      ['Functions', functions],
+      ['Constraints', constraints],
+      ['Foreign keys', foreignKeys],
+      ['Indexes', indexes],
+      ['Views', views],
+      ['Destructive changes (review before uncommenting)', destructive],
+    ].filter(([, statements]) => statements.length > 0);
+
+    if (sections.length === 0) {
+      return '-- Schemas are identical\n';
+    }
+
+    const body = sections.map(([title, statements]) => `-- ${title}\n${statements.join('\n')}`).join('\n\n');
+    return `SET search_path TO ${quoteIdent(schema)};\n\n${body}\n`;
+  }
+}
+
+module.exports = SchemaDiff;
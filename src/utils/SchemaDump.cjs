@@ -0,0 +1,159 @@
+/**
+ * Генерация DDL из строк системного каталога (замена pg_dump --schema-only)
+ */
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function qualified(schema, name) {
+  return `${quoteIdent(schema)}.${quoteIdent(name)}`;
+}
+
+const GRANT_OBJECTS = {
+  r: 'TABLE',
+  p: 'TABLE',
+  v: 'TABLE',
+  m: 'TABLE',
+  S: 'SEQUENCE',
+  function: 'FUNCTION',
+  procedure: 'PROCEDURE',
+  schema: 'SCHEMA',
+};
+
+class SchemaDump {
+  static columnDefinition(column) {
+    let definition = `${quoteIdent(column.name)} ${column.type}`;
+    if (column.collation) {
+      definition += ` COLLATE ${column.collation}`;
+    }
+    if (column.generated === 's') {
+      definition += ` GENERATED ALWAYS AS (${column.default}) STORED`;
+    } else if (column.identity === 'a' || column.identity === 'd') {
+      definition += ` GENERATED ${column.identity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY`;
+    } else if (column.default !== null && column.default !== undefined) {
+      definition += ` DEFAULT ${column.default}`;
+    }
+    if (column.not_null) {
+      definition += ' NOT NULL';
+    }
+    return definition;
+  }
+
+  static createTable(table) {
+    const name = qualified(table.schema, table.name);
+    const unlogged = table.persistence === 'u' ? 'UNLOGGED ' : '';
+    const partitionKey = table.partition_key ? ` PARTITION BY ${table.partition_key}` : '';
+
+    if (table.partition_of) {
+      return `CREATE ${unlogged}TABLE ${name} PARTITION OF ${table.partition_of} ${table.partition_bound}${partitionKey};`;
+    }
+
+    const columns = table.columns.map((column) => `  ${this.columnDefinition(column)}`);
+    return `CREATE ${unlogged}TABLE ${name} (\n${columns.join(',\n')}\n)${partitionKey};`;
+  }
+
+  static createSequence(sequence) {
+    return [
+      `CREATE SEQUENCE ${qualified(sequence.schema, sequence.name)}`,
+      `  AS ${sequence.type}`,
+      `  INCREMENT BY ${sequence.increment}`,
+      `  MINVALUE ${sequence.min}`,
+      `  MAXVALUE ${sequence.max}`,
+      `  START WITH ${sequence.start}`,
+      `  CACHE ${sequence.cache}${sequence.cycle ? '\n  CYCLE' : ''};`,
+    ].join('\n');
+  }
+
+  static createView(view) {
+    const name = qualified(view.schema, view.name);
+    const body = view.view_definition.trim().replace(/;$/, '');
+    return view.kind === 'm'
+      ? `CREATE MATERIALIZED VIEW ${name} AS\n${body}\nWITH NO DATA;`
+      : `CREATE VIEW ${name} AS\n${body};`;
+  }
+
+  /**
+   * GRANT-выражения, сгруппированные по объекту и получателю
+   * @param {object[]} grants - строки aclexplode { kind, object, grantee, privilege_type, is_grantable }
+   * @returns {string[]} выражения GRANT
+   */
+  static grantStatements(grants) {
+    const groups = new Map();
+    for (const grant of grants) {
+      const key = `${grant.kind}\u0000${grant.object}\u0000${grant.grantee}\u0000${grant.is_grantable}`;
+      if (!groups.has(key)) {
+        groups.set(key, { ...grant, privileges: [] });
+      }
+      groups.get(key).privileges.push(grant.privilege_type);
+    }
+
+    return [...groups.values()].map((group) => {
+      const option = group.is_grantable ? ' WITH GRANT OPTION' : '';
+      return `GRANT ${group.privileges.join(', ')} ON ${GRANT_OBJECTS[group.kind]} ${group.object} TO ${group.grantee}${option};`;
+    });
+  }
+
+  /**
+   * Сборка DDL-скрипта в порядке зависимостей
+   * @param {object} catalog - объекты каталога, собранные менеджером
+   * @returns {{ddl: string, counts: object}} скрипт и число объектов по категориям
+   */
+  static render(catalog) {
+    const relations = catalog.relations;
+    const tables = relations
+      .filter((relation) => relation.kind === 'r' || relation.kind === 'p')
+      // секции создаются после родительских таблиц
+      .sort((a, b) => Number(Boolean(a.partition_of)) - Number(Boolean(b.partition_of)));
+    const sequences = relations.filter((relation) => relation.kind === 'S');
+    const views = relations.filter((relation) => relation.kind === 'v' || relation.kind === 'm');
+    const constraints = catalog.constraints.filter((constraint) => constraint.type !== 'f');
+    const foreignKeys = catalog.constraints.filter((constraint) => constraint.type === 'f');
+
+    const sections = [
+      ['Schemas', catalog.schemas.map((schema) => `CREATE SCHEMA IF NOT EXISTS ${quoteIdent(schema)};`)],
+      ['Enum types', catalog.enums.map((type) => (
+        `CREATE TYPE ${qualified(type.schema, type.name)} AS ENUM (${type.labels.map(quoteLiteral).join(', ')});`
+      ))],
+      ['Sequences', sequences.map((sequence) => this.createSequence(sequence))],
+      ['Functions and procedures', catalog.functions.map((fn) => `${fn.definition.trim()};`)],
+      ['Tables', tables.map((table) => this.createTable(table))],
+      ['Sequence ownership', sequences
+        .filter((sequence) => sequence.owned_by)
+        .map((sequence) => `ALTER SEQUENCE ${qualified(sequence.schema, sequence.name)} OWNED BY ${sequence.owned_by};`)],
+      ['Constraints', constraints.map((constraint) => (
+        `ALTER TABLE ${constraint.table} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition};`
+      ))],
+      // индекс на секционированной таблице без ONLY сам создаёт и подключает индексы секций
+      ['Indexes', catalog.indexes.map((index) => `${index.definition.replace(' ON ONLY ', ' ON ')};`)],
+      ['Foreign keys', foreignKeys.map((constraint) => (
+        `ALTER TABLE ${constraint.table} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition};`
+      ))],
+      ['Views', views.map((view) => this.createView(view))],
+      ['Triggers', catalog.triggers.map((trigger) => `${trigger.definition};`)],
+      ['Grants', this.grantStatements(catalog.grants)],
+    ].filter(([, statements]) => statements.length > 0);
+
+    const counts = {
+      schemas: catalog.schemas.length,
+      enums: catalog.enums.length,
+      sequences: sequences.length,
+      functions: catalog.functions.length,
+      tables: tables.length,
+      views: views.length,
+      constraints: catalog.constraints.length,
+      indexes: catalog.indexes.length,
+      triggers: catalog.triggers.length,
+      grants: catalog.grants.length,
+    };
+
+    const body = sections.map(([title, statements]) => `-- ${title}\n${statements.join('\n\n')}`).join('\n\n');
+    return { ddl: `SET check_function_bodies = false;\n\n${body}\n`, counts };
+  }
+}
+
+module.exports = SchemaDump;
@@ -0,0 +1,100 @@
+/**
+ * Компиляция структурированных фильтров в WHERE с параметрами.
+ * Пример: { id: 5, status: { in: ['new', 'open'] }, created_at: { lt: '2024-01-01' }, or: [{ a: 1 }, { b: null }] }
+ */
+
+const COMPARISONS = {
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+};
+
+class SqlFilter {
+  /**
+   * Компиляция фильтра
+   * @param {object} filter - структурированный фильтр
+   * @param {object} options - { offset: номер последнего занятого $-параметра, ensureColumn: валидатор имени колонки }
+   * @returns {{clause: string, values: Array}} условие и значения параметров
+   */
+  static compile(filter, { offset = 0, ensureColumn }) {
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${offset + values.length}`;
+    };
+
+    const build = (node) => {
+      if (typeof node !== 'object' || node === null || Array.isArray(node)) {
+        throw new Error('Filter must be an object of column conditions');
+      }
+
+      const parts = [];
+      for (const [key, condition] of Object.entries(node)) {
+        if (key === 'or' || key === 'and') {
+          if (!Array.isArray(condition) || condition.length === 0) {
+            throw new Error(`Filter '${key}' must be a non-empty array of filters`);
+          }
+          const joined = condition.map((inner) => `(${build(inner)})`).join(key === 'or' ? ' OR ' : ' AND ');
+          parts.push(`(${joined})`);
+          continue;
+        }
+        parts.push(...this.compileCondition(ensureColumn(key), condition, param));
+      }
+
+      if (parts.length === 0) {
+        throw new Error('Filter must not be empty');
+      }
+      return parts.join(' AND ');
+    };
+
+    return { clause: build(filter), values };
+  }
+
+  static compileCondition(column, condition, param) {
+    if (condition === null) {
+      return [`${column} IS NULL`];
+    }
+    if (Array.isArray(condition)) {
+      return [this.compileOperator(column, 'in', condition, param)];
+    }
+    if (typeof condition !== 'object') {
+      return [`${column} = ${param(condition)}`];
+    }
+
+    const operators = Object.entries(condition);
+    if (operators.length === 0) {
+      throw new Error(`Filter for column '${column}' must not be empty`);
+    }
+    return operators.map(([operator, value]) => this.compileOperator(column, operator, value, param));
+  }
+
+  static compileOperator(column, operator, value, param) {
+    switch (operator) {
+      case 'eq':
+        return value === null ? `${column} IS NULL` : `${column} = ${param(value)}`;
+      case 'ne':
+        return value === null ? `${column} IS NOT NULL` : `${column} IS DISTINCT FROM ${param(value)}`;
+      case 'in':
+      case 'not_in':
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error(`Filter '${operator}' for column '${column}' must be a non-empty array`);
+        }
+        return operator === 'in' ? `${column} = ANY(${param(value)})` : `NOT (${column} = ANY(${param(value)}))`;
+      case 'is_null':
+        return value ? `${column} IS NULL` : `${column} IS NOT NULL`;
+      default:
+        if (!COMPARISONS[operator]) {
+          throw new Error(`Unsupported filter operator '${operator}' (use eq, ne, lt, lte, gt, gte, in, not_in, like, ilike, is_null)`);
+        }
+        if (value === null || value === undefined) {
+          throw new Error(`Filter '${operator}' for column '${column}' requires a value`);
+        }
+        return `${column} ${COMPARISONS[operator]} ${param(value)}`;
+    }
+  }
+}
+
+module.exports = SqlFilter;
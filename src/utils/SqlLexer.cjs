@@ -0,0 +1,486 @@
+/**
+ * Лёгкий лексер PostgreSQL SQL: комментарии (включая вложенные блочные), строки '...', E'...',
+ * идентификаторы "...", dollar-quoting, параметры $n, разбиение на выражения
+ * и классификация выражений на read / write / ddl / utility.
+ */
+
+const KIND_SEVERITY = ['read', 'utility', 'write', 'ddl'];
+
+const READ_COMMANDS = new Set(['SELECT', 'VALUES', 'TABLE', 'SHOW', 'FETCH', 'MOVE', 'CLOSE']);
+const DDL_COMMANDS = new Set(['CREATE', 'ALTER', 'DROP', 'GRANT', 'REVOKE', 'COMMENT', 'SECURITY', 'REASSIGN', 'IMPORT']);
+const UTILITY_COMMANDS = new Set([
+  'BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'ABORT', 'SAVEPOINT', 'RELEASE', 'SET', 'RESET',
+  'DISCARD', 'LISTEN', 'UNLISTEN', 'DEALLOCATE',
+]);
+const MODIFYING_WORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+const ROW_LOCKS = new Set(['UPDATE', 'SHARE', 'NO', 'KEY']);
+const DDL_MODIFIERS = new Set(['OR', 'REPLACE', 'TEMP', 'TEMPORARY', 'UNLOGGED', 'UNIQUE', 'GLOBAL', 'LOCAL', 'RECURSIVE', 'TRUSTED', 'PROCEDURAL']);
+const DDL_COMPOUND = new Set(['MATERIALIZED', 'FOREIGN', 'EVENT', 'DEFAULT', 'CONSTRAINT', 'TEXT', 'USER', 'ACCESS']);
+const READ_ONLY_SETTINGS = new Set(['default_transaction_read_only', 'transaction_read_only']);
+const CAPPABLE = new Set(['SELECT', 'VALUES', 'TABLE']);
+
+const IDENT_START = /[A-Za-z_\u0080-\uffff]/;
+const IDENT_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+const DOLLAR_TAG = /^\$([A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*)?\$/;
+const OPERATOR_CHARS = '+-*/<>=~!@#%^&|`?';
+
+function literalText(token) {
+  if (token?.type !== 'string' || !token.value.startsWith("'")) {
+    return null;
+  }
+  return token.value.slice(1, -1).replace(/''/g, "'");
+}
+
+function settingName(token) {
+  if (token?.type === 'word' || token?.type === 'identifier') {
+    return token.type === 'word' ? token.value.toLowerCase() : token.value;
+  }
+  return null;
+}
+
+class SqlLexer {
+  /**
+   * Разбор текста на токены (комментарии и пробелы отбрасываются)
+   * @param {string} sql - текст запроса
+   * @returns {object[]} токены { type, value, start, end, depth }
+   */
+  static tokenize(sql) {
+    const tokens = [];
+    let position = 0;
+    let depth = 0;
+
+    const fail = (message, at) => {
+      throw new Error(`${message} at position ${at + 1}`);
+    };
+    const push = (type, start, end, value = sql.slice(start, end)) => {
+      tokens.push({ type, value, start, end, depth });
+    };
+
+    while (position < sql.length) {
+      const char = sql[position];
+      const next = sql[position + 1];
+
+      if (/\s/.test(char)) {
+        position += 1;
+        continue;
+      }
+
+      if (char === '-' && next === '-') {
+        const end = sql.indexOf('\n', position);
+        position = end === -1 ? sql.length : end + 1;
+        continue;
+      }
+
+      if (char === '/' && next === '*') {
+        // блочные комментарии PostgreSQL могут быть вложенными
+        const start = position;
+        let nesting = 0;
+        do {
+          if (sql.startsWith('/*', position)) {
+            nesting += 1;
+            position += 2;
+          } else if (sql.startsWith('*/', position)) {
+            nesting -= 1;
+            position += 2;
+          } else if (position >= sql.length) {
+            fail('Unterminated block comment', start);
+          } else {
+            position += 1;
+          }
+        } while (nesting > 0);
+        continue;
+      }
+
+      if (char === "'" || ((char === 'E' || char === 'e') && next === "'")) {
+        const start = position;
+        const escapes = char !== "'";
+        position += escapes ? 2 : 1;
+        for (;;) {
+          if (position >= sql.length) {
+            fail('Unterminated string literal', start);
+          }
+          if (escapes && sql[position] === '\\') {
+            position += 2;
+            continue;
+          }
+          if (sql[position] === "'") {
+            if (sql[position + 1] === "'") {
+              position += 2;
+              continue;
+            }
+            position += 1;
+            break;
+          }
+          position += 1;
+        }
+        push('string', start, position);
+        continue;
+      }
+
+      if (char === '"') {
+        const start = position;
+        position += 1;
+        let name = '';
+        for (;;) {
+          if (position >= sql.length) {
+            fail('Unterminated quoted identifier', start);
+          }
+          if (sql[position] === '"') {
+            if (sql[position + 1] === '"') {
+              name += '"';
+              position += 2;
+              continue;
+            }
+            position += 1;
+            break;
+          }
+          name += sql[position];
+          position += 1;
+        }
+        push('identifier', start, position, name);
+        continue;
+      }
+
+      if (char === '$') {
+        const param = /^\$(\d+)/.exec(sql.slice(position, position + 12));
+        if (param) {
+          push('param', position, position + param[0].length, Number(param[1]));
+          position += param[0].length;
+          continue;
+        }
+        const tag = DOLLAR_TAG.exec(sql.slice(position, position + 256));
+        if (tag) {
+          const start = position;
+          const close = sql.indexOf(tag[0], position + tag[0].length);
+          if (close === -1) {
+            fail('Unterminated dollar-quoted string', start);
+          }
+          position = close + tag[0].length;
+          push('string', start, position);
+          continue;
+        }
+      }
+
+      if (IDENT_START.test(char)) {
+        const start = position;
+        while (position < sql.length && IDENT_PART.test(sql[position])) {
+          position += 1;
+        }
+        push('word', start, position, sql.slice(start, position).toUpperCase());
+        continue;
+      }
+
+      if (/\d/.test(char) || (char === '.' && /\d/.test(next ?? ''))) {
+        const match = /^(\d[\d_]*)?(\.\d*)?([eE][+-]?\d+)?/.exec(sql.slice(position)) ?? [char];
+        const length = Math.max(match[0].length, 1);
+        push('number', position, position + length);
+        position += length;
+        continue;
+      }
+
+      if (char === '(' || char === '[') {
+        push('open', position, position + 1);
+        depth += 1;
+        position += 1;
+        continue;
+      }
+      if (char === ')' || char === ']') {
+        depth = Math.max(0, depth - 1);
+        push('close', position, position + 1);
+        position += 1;
+        continue;
+      }
+      if (char === ';') {
+        push('semicolon', position, position + 1);
+        position += 1;
+        continue;
+      }
+      if (OPERATOR_CHARS.includes(char)) {
+        const start = position;
+        while (position < sql.length && OPERATOR_CHARS.includes(sql[position])
+          && !sql.startsWith('--', position) && !sql.startsWith('/*', position)) {
+          position += 1;
+        }
+        push('operator', start, position);
+        continue;
+      }
+
+      push('punct', position, position + 1);
+      position += 1;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Разбиение на выражения по ';' вне строк, комментариев и тел BEGIN ATOMIC
+   * @param {string} sql - текст запроса
+   * @returns {object[]} выражения { text, tokens }
+   */
+  static split(sql) {
+    const statements = [];
+    let current = [];
+    let atomic = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        statements.push({
+          text: sql.slice(current[0].start, current[current.length - 1].end),
+          tokens: current,
+        });
+      }
+      current = [];
+    };
+
+    for (const token of this.tokenize(sql)) {
+      if (token.type === 'semicolon' && atomic === 0) {
+        flush();
+        continue;
+      }
+      current.push(token);
+
+      if (token.type !== 'word') {
+        continue;
+      }
+      const previous = current[current.length - 2];
+      if (token.value === 'ATOMIC' && previous?.value === 'BEGIN') {
+        atomic += 1;
+      } else if (atomic > 0 && token.value === 'CASE') {
+        atomic += 1;
+      } else if (atomic > 0 && token.value === 'END') {
+        atomic -= 1;
+      }
+    }
+    flush();
+
+    return statements;
+  }
+
+  /**
+   * Номер старшего параметра $n
+   * @param {string} sql - текст запроса
+   * @returns {number} 0, если параметров нет
+   */
+  static countPlaceholders(sql) {
+    return this.tokenize(sql)
+      .filter((token) => token.type === 'param')
+      .reduce((max, token) => Math.max(max, token.value), 0);
+  }
+
+  static topLevelWords(tokens, baseDepth = 0) {
+    return tokens.filter((token) => token.type === 'word' && token.depth === baseDepth);
+  }
+
+  static indexOfWord(tokens, word, from = 0) {
+    return tokens.findIndex((token, index) => index >= from && token.type === 'word' && token.depth === 0 && token.value === word);
+  }
+
+  static ddlCommand(words) {
+    let index = 1;
+    while (index < words.length && DDL_MODIFIERS.has(words[index].value)) {
+      index += 1;
+    }
+    const object = words[index]?.value;
+    if (!object) {
+      return words[0].value;
+    }
+    const compound = DDL_COMPOUND.has(object) && words[index + 1] ? ` ${words[index + 1].value}` : '';
+    return `${words[0].value} ${object}${compound}`;
+  }
+
+  static inner(tokens, start) {
+    const rest = tokens.slice(start).map((token) => ({ ...token, depth: token.depth - tokens[start].depth }));
+    return rest.length > 0 ? this.classifyTokens(rest) : null;
+  }
+
+  static explainTarget(tokens) {
+    let index = 1;
+    let analyze = false;
+    if (tokens[index]?.type === 'open') {
+      const close = tokens.findIndex((token, position) => position > index && token.type === 'close' && token.depth === 0);
+      if (close === -1) {
+        return { analyze: false, index: tokens.length };
+      }
+      const options = tokens.slice(index + 1, close);
+      options.forEach((token, position) => {
+        if (token.type === 'word' && (token.value === 'ANALYZE' || token.value === 'ANALYSE')) {
+          const setting = options[position + 1];
+          analyze = !setting || setting.type === 'punct' || !['FALSE', 'OFF', '0'].includes(String(setting.value).toUpperCase());
+        }
+      });
+      index = close + 1;
+    } else {
+      while (tokens[index]?.type === 'word' && ['ANALYZE', 'ANALYSE', 'VERBOSE'].includes(tokens[index].value)) {
+        analyze = analyze || tokens[index].value !== 'VERBOSE';
+        index += 1;
+      }
+    }
+    return { analyze, index };
+  }
+
+  /**
+   * Вызов set_config(), который может снять read_only: имя параметра не литерал или параметр режима транзакций.
+   * Сервер всё равно восстанавливает режим сессии, классификация лишь отказывает заранее
+   * @param {object[]} tokens - токены выражения
+   * @returns {boolean} true, если такой вызов есть
+   */
+  static setsReadOnlyConfig(tokens) {
+    return tokens.some((token, index) => {
+      const call = (token.type === 'word' && token.value === 'SET_CONFIG')
+        || (token.type === 'identifier' && token.value === 'set_config');
+      if (!call || tokens[index + 1]?.type !== 'open') {
+        return false;
+      }
+      const name = literalText(tokens[index + 2]);
+      return name === null || tokens[index + 3]?.value !== ',' || READ_ONLY_SETTINGS.has(name.trim().toLowerCase());
+    });
+  }
+
+  /**
+   * SET/RESET параметра режима транзакций или переход в READ WRITE
+   * @param {object[]} words - слова верхнего уровня
+   * @param {object[]} tokens - токены выражения
+   * @returns {boolean} true, если выражение может включить запись
+   */
+  static setsReadWrite(words, tokens) {
+    if (words.some((word, index) => word.value === 'READ' && words[index + 1]?.value === 'WRITE')) {
+      return true;
+    }
+    if (words[0].value !== 'SET' && words[0].value !== 'RESET') {
+      return false;
+    }
+    let index = 1;
+    while (tokens[index]?.type === 'word' && ['SESSION', 'LOCAL'].includes(tokens[index].value)) {
+      index += 1;
+    }
+    return READ_ONLY_SETTINGS.has(settingName(tokens[index]));
+  }
+
+  static classifyTokens(tokens) {
+    const words = this.topLevelWords(tokens);
+    const first = tokens[0]?.type === 'word' ? tokens[0].value : null;
+    if (!first) {
+      return { kind: 'write', command: 'UNKNOWN' };
+    }
+
+    const readOnlySetting = this.setsReadOnlyConfig(tokens);
+
+    if (first === 'WITH') {
+      // главная команда — первое слово верхнего уровня после списка CTE
+      const main = words.find((word, index) => index > 0 && (CAPPABLE.has(word.value) || MODIFYING_WORDS.has(word.value)));
+      const command = main?.value ?? 'SELECT';
+      const modifies = tokens.some((token, index) => token.type === 'word' && MODIFYING_WORDS.has(token.value)
+        && !(token.value === 'UPDATE' && ['FOR', 'NO', 'KEY'].includes(tokens[index - 1]?.value)));
+      if (modifies || readOnlySetting || MODIFYING_WORDS.has(command)) {
+        return { kind: 'write', command };
+      }
+      return this.classifySelect(tokens, command);
+    }
+
+    if (CAPPABLE.has(first)) {
+      return readOnlySetting ? { kind: 'write', command: first } : this.classifySelect(tokens, first);
+    }
+
+    if (first === 'EXPLAIN') {
+      const { analyze, index } = this.explainTarget(tokens);
+      const target = this.inner(tokens, index);
+      return { kind: analyze && target ? target.kind : 'read', command: 'EXPLAIN', analyze, target: target?.command };
+    }
+
+    if (first === 'DECLARE' || first === 'PREPARE') {
+      const at = this.indexOfWord(tokens, first === 'DECLARE' ? 'FOR' : 'AS', 1);
+      const target = at === -1 ? null : this.inner(tokens, at + 1);
+      return { kind: target?.kind ?? 'write', command: first, target: target?.command };
+    }
+
+    if (first === 'COPY') {
+      // COPY ... TO выгружает данные, COPY ... FROM загружает
+      const from = this.indexOfWord(tokens, 'FROM', 1);
+      const to = this.indexOfWord(tokens, 'TO', 1);
+      return { kind: to !== -1 && (from === -1 || to < from) ? 'read' : 'write', command: 'COPY' };
+    }
+
+    if (first === 'SET' || first === 'BEGIN' || first === 'START' || first === 'RESET') {
+      // включение записи в профиле read_only приравнивается к записи
+      const bypass = readOnlySetting || this.setsReadWrite(words, tokens);
+      return { kind: bypass ? 'write' : 'utility', command: first };
+    }
+
+    if (READ_COMMANDS.has(first)) {
+      return { kind: 'read', command: first };
+    }
+    if (DDL_COMMANDS.has(first)) {
+      return { kind: 'ddl', command: ['CREATE', 'ALTER', 'DROP'].includes(first) ? this.ddlCommand(words) : first };
+    }
+    if (UTILITY_COMMANDS.has(first)) {
+      return { kind: 'utility', command: first };
+    }
+    // INSERT, UPDATE, DELETE, MERGE, TRUNCATE, CALL, DO, VACUUM и всё неизвестное считаются записью
+    return { kind: 'write', command: first };
+  }
+
+  static classifySelect(tokens, command) {
+    const words = this.topLevelWords(tokens);
+    const into = command === 'SELECT' && words.some((word) => word.value === 'INTO');
+    if (into) {
+      // SELECT ... INTO создаёт таблицу
+      return { kind: 'ddl', command: 'SELECT INTO' };
+    }
+    const locking = words.some((word, index) => word.value === 'FOR' && ROW_LOCKS.has(words[index + 1]?.value));
+    if (locking) {
+      return { kind: 'write', command, locking: true };
+    }
+    const limited = words.some((word) => word.value === 'LIMIT' || word.value === 'FETCH');
+    return { kind: 'read', command, limited };
+  }
+
+  /**
+   * Классификация каждого выражения текста
+   * @param {string} sql - текст запроса
+   * @returns {{kind: string, statements: object[]}} итоговый (самый строгий) вид и выражения
+   */
+  static classify(sql) {
+    const statements = this.split(sql).map((statement) => ({
+      text: statement.text,
+      ...this.classifyTokens(statement.tokens),
+    }));
+    const kind = statements.reduce(
+      (worst, statement) => (KIND_SEVERITY.indexOf(statement.kind) > KIND_SEVERITY.indexOf(worst) ? statement.kind : worst),
+      'read'
+    );
+    return { kind, statements };
+  }
+
+  /**
+   * Обёртка читающего выражения в SELECT ... LIMIT
+   * @param {object} statement - выражение из classify
+   * @param {number} limit - предел строк
+   * @returns {string|null} обёрнутый текст или null, если ограничение неприменимо
+   */
+  static capStatement(statement, limit) {
+    if (statement.kind !== 'read' || !CAPPABLE.has(statement.command) || statement.limited) {
+      return null;
+    }
+    // перевод строки перед ')' защищает от однострочного комментария в конце запроса
+    return `SELECT * FROM (\n${statement.text}\n) AS sentryfrogg_capped LIMIT ${limit}`;
+  }
+
+  /**
+   * Ограничение строк для каждого читающего выражения текста
+   * @param {object} classification - результат classify
+   * @param {number} limit - предел строк
+   * @returns {{text: string, capped: boolean[]}|null} текст с обёрнутыми выражениями или null, если обёртывать нечего
+   */
+  static capRows(classification, limit) {
+    const texts = classification.statements.map((statement) => this.capStatement(statement, limit));
+    if (texts.every((text) => text === null)) {
+      return null;
+    }
+    return {
+      text: classification.statements.map((statement, index) => texts[index] ?? statement.text).join(';\n'),
+      capped: texts.map((text) => text !== null),
+    };
+  }
+}
+
+module.exports = SqlLexer;
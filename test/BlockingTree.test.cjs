@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlockingTree = require('../src/utils/BlockingTree.cjs');
+
+const shape = (node) => [node.pid, node.blocks.map(shape)];
+
+test('build: chains and fan-out under a single root', () => {
+  const trees = BlockingTree.build([
+    { pid: 10, blocked_by: [] },
+    { pid: 20, blocked_by: [10] },
+    { pid: 30, blocked_by: [20] },
+    { pid: 40, blocked_by: [10] },
+    { pid: 50, blocked_by: [] },
+  ]);
+
+  assert.deepEqual(trees.map(shape), [[10, [[20, [[30, []]]], [40, []]]]]);
+  assert.equal(BlockingTree.countBlocked(trees[0]), 3);
+});
+
+test('build: blocker missing from the session list still becomes a root', () => {
+  assert.deepEqual(BlockingTree.build([{ pid: 2, blocked_by: [1] }]).map(shape), [[1, [[2, []]]]]);
+});
+
+test('build: deadlock cycles are broken at the lowest pid and marked', () => {
+  const trees = BlockingTree.build([
+    { pid: 7, blocked_by: [8] },
+    { pid: 8, blocked_by: [7] },
+  ]);
+
+  assert.deepEqual(trees.map(shape), [[7, [[8, []]]]]);
+  assert.equal(trees[0].cycle, true);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ColumnProfile = require('../src/utils/ColumnProfile.cjs');
+
+const AMOUNT = { name: 'amount', type: 'numeric(10,2)', base_type: 'numeric', category: 'N', delimiter: ',', nullable: true };
+const NAME = { name: 'name', type: 'text', base_type: 'text', category: 'S', delimiter: ',', nullable: false };
+
+test('estimateDistinct: Duj1 estimate bounded by sample and table size', () => {
+  assert.equal(ColumnProfile.estimateDistinct(0, 0, 0, 1000), 0);
+  assert.equal(ColumnProfile.estimateDistinct(100, 40, 10, 50), 40);
+  assert.equal(ColumnProfile.estimateDistinct(100, 100, 100, 5000), 5000);
+  assert.equal(ColumnProfile.estimateDistinct(100, 40, 20, 10000), 50);
+});
+
+test('fromStats: negative n_distinct scales with rows, numeric range spans MCV and histogram', () => {
+  const profile = ColumnProfile.fromStats(AMOUNT, {
+    null_frac: '0.1',
+    n_distinct: '-0.5',
+    most_common_vals: '{5.00,500.00}',
+    most_common_freqs: ['0.3', '0.1'],
+    histogram_bounds: '{1.00,10.00,20.00}',
+  }, 1000, 1);
+
+  assert.deepEqual(profile, {
+    name: 'amount',
+    type: 'numeric(10,2)',
+    nullable: true,
+    analyzed: true,
+    null_ratio: 0.1,
+    distinct_estimate: 500,
+    most_common: [{ value: '5.00', frequency: 0.3 }],
+    min: 1,
+    max: 500,
+    histogram: [{ from: 1, to: 10, fraction: 0.25 }, { from: 10, to: 20, fraction: 0.25 }],
+  });
+  assert.deepEqual(ColumnProfile.fromStats(NAME, undefined, 1000, 5), { name: 'name', type: 'text', nullable: false, analyzed: false });
+});
+
+test('fromStats: text columns report bounds and average width', () => {
+  const profile = ColumnProfile.fromStats(NAME, {
+    null_frac: '0', n_distinct: '3', avg_width: '6', histogram_bounds: '{alice,"bob smith",carol}',
+  }, 10, 5);
+  assert.deepEqual([profile.min, profile.max, profile.length, profile.histogram], ['alice', 'carol', { avg_bytes: 6 }, undefined]);
+});
+
+test('fromSample: ratios from the sample, long values truncated', () => {
+  const long = 'x'.repeat(250);
+  const profile = ColumnProfile.fromSample(NAME, {
+    sampled: 10, non_null: 8, min: 'a', max: long, distinct: 8, singletons: 8, common: [{ value: 'a', count: 1 }],
+  }, 1000);
+
+  assert.equal(profile.null_ratio, 0.2);
+  assert.equal(profile.distinct_estimate, 800);
+  assert.equal(profile.max, `${'x'.repeat(200)}…`);
+  assert.deepEqual(profile.most_common, [{ value: 'a', count: 1, frequency: 0.1 }]);
+});
+
+test('widthHistogram: fills empty buckets and pins the last bound to max', () => {
+  assert.deepEqual(ColumnProfile.widthHistogram(0, 1, 3, [{ bucket: '1', count: '2' }, { bucket: 3, count: 2 }], 4), [
+    { from: 0, to: 0.333333, count: 2, fraction: 0.5 },
+    { from: 0.333333, to: 0.666667, count: 0, fraction: 0 },
+    { from: 0.666667, to: 1, count: 2, fraction: 0.5 },
+  ]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataFormats = require('../src/utils/DataFormats.cjs');
+
+const COLUMNS = ['id', 'note', 'payload'];
+const ROWS = [
+  { id: 1, note: 'a,"b"\nc', payload: { k: 1 } },
+  { id: 2, note: null, payload: Buffer.from([0xde, 0xad]) },
+  { id: 3, note: '', payload: new Date('2024-01-02T03:04:05Z') },
+];
+
+const encode = (format) => DataFormats.header(format, COLUMNS)
+  + ROWS.map((row, index) => DataFormats.encodeRow(format, row, COLUMNS, index === 0)).join('')
+  + DataFormats.footer(format, ROWS.length);
+
+test('ensureFormat: defaults to csv and rejects unknown formats', () => {
+  assert.equal(DataFormats.ensureFormat(undefined), 'csv');
+  assert.equal(DataFormats.ensureFormat(' JSONL '), 'jsonl');
+  assert.throws(() => DataFormats.ensureFormat('xml'), /Format must be one of/);
+});
+
+test('csv: quotes special cells, keeps empty string apart from NULL', () => {
+  assert.equal(encode('csv'), [
+    'id,note,payload',
+    '1,"a,""b""\nc","{""k"":1}"',
+    '2,,\\xdead',
+    '3,"",2024-01-02T03:04:05.000Z',
+    '',
+  ].join('\n'));
+});
+
+test('tsv: escapes control characters and writes NULL as \\N', () => {
+  assert.equal(
+    DataFormats.encodeRow('tsv', { id: 1, note: 'a\tb\\c\r\n', payload: null }, COLUMNS),
+    '1\ta\\tb\\\\c\\r\\n\t\\N\n'
+  );
+});
+
+test('json and jsonl: bytea becomes hex, empty json export is a valid array', () => {
+  const json = JSON.parse(encode('json'));
+  assert.deepEqual(json[1], { id: 2, note: null, payload: '\\xdead' });
+  assert.equal(json.length, 3);
+  assert.deepEqual(JSON.parse(encode('jsonl').split('\n')[0]), { id: 1, note: 'a,"b"\nc', payload: { k: 1 } });
+  assert.deepEqual(JSON.parse(DataFormats.header('json', COLUMNS) + DataFormats.footer('json', 0)), []);
+});
+
+async function readAll(t, content, format, options) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sentryfrogg-formats-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, `input.${format}`);
+  fs.writeFileSync(filePath, content);
+
+  const records = [];
+  for await (const record of DataFormats.readRecords(filePath, format, options)) {
+    records.push(record);
+  }
+  return records;
+}
+
+test('readRecords csv: quoted fields, CRLF, empty vs NULL, round trip of export', async (t) => {
+  assert.deepEqual(await readAll(t, 'id,note\r\n1,"a,""b""\nc"\r\n2,\r\n3,""\r\n\r\n4,last', 'csv'), [
+    { id: '1', note: 'a,"b"\nc' },
+    { id: '2', note: null },
+    { id: '3', note: '' },
+    { id: '4', note: 'last' },
+  ]);
+  assert.deepEqual((await readAll(t, encode('csv'), 'csv'))[0], { id: '1', note: 'a,"b"\nc', payload: '{"k":1}' });
+  assert.deepEqual(await readAll(t, '1,x\n2,y\n', 'csv', { header: false }), [['1', 'x'], ['2', 'y']]);
+});
+
+test('readRecords csv: unterminated quote is an error', async (t) => {
+  await assert.rejects(readAll(t, 'id,note\n1,"open\n', 'csv'), /ends inside a quoted field/);
+});
+
+test('readRecords jsonl: skips blank lines and reports the bad line number', async (t) => {
+  assert.deepEqual(await readAll(t, '{"id":1}\n\n[2,"b"]\n', 'jsonl'), [{ id: 1 }, [2, 'b']]);
+  await assert.rejects(readAll(t, '{"id":1}\n{oops}\n', 'jsonl'), /Invalid JSON on line 2/);
+  await assert.rejects(readAll(t, '', 'tsv'), /must be csv or jsonl/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HealthReport = require('../src/utils/HealthReport.cjs');
+
+const NOW = new Date('2024-06-30T00:00:00Z');
+const DAY = 86400000;
+
+const table = (overrides) => ({
+  schema: 'public',
+  table: 't',
+  live_tuples: 1000,
+  dead_tuples: 0,
+  seq_scan: 0,
+  idx_scan: 0,
+  last_vacuum: null,
+  last_autovacuum: new Date(NOW - DAY),
+  last_analyze: null,
+  last_autoanalyze: new Date(NOW - DAY),
+  ...overrides,
+});
+
+const categories = (findings) => findings.map((item) => [item.object, item.category, item.severity]);
+
+test('tableFindings: bloat, stale vacuum, missing analyze and seq scans', () => {
+  const findings = HealthReport.tableFindings([
+    table({ table: 'healthy' }),
+    table({ table: 'bloated', live_tuples: 20000, dead_tuples: 30000, last_autovacuum: new Date(NOW - 10 * DAY) }),
+    table({ table: 'unanalyzed', live_tuples: 50000, last_autoanalyze: null }),
+    table({ table: 'scanned', live_tuples: 200000, seq_scan: 50, idx_scan: 3 }),
+  ], NOW);
+
+  assert.deepEqual(categories(findings), [
+    ['public.bloated', 'bloat', 'critical'],
+    ['public.bloated', 'vacuum', 'info'],
+    ['public.unanalyzed', 'analyze', 'warning'],
+    ['public.scanned', 'seq_scan', 'warning'],
+  ]);
+  assert.equal(findings[0].details.dead_ratio, 0.6);
+});
+
+test('indexFindings: unused indexes skip constraints; duplicates keep the constraint index', () => {
+  const index = (name, overrides) => ({
+    schema: 'public', table: 't', index: name, scans: 5, bytes: 2 * 1024 * 1024, size: '2 MB', signature: name, ...overrides,
+  });
+  const findings = HealthReport.indexFindings([
+    index('t_unused', { scans: 0 }),
+    index('t_pkey', { scans: 0, is_primary: true, signature: 'id' }),
+    index('t_id_idx', { signature: 'id' }),
+    index('t_tiny', { scans: 0, bytes: 8192 }),
+  ]);
+
+  assert.deepEqual(categories(findings), [
+    ['public.t_unused', 'unused_index', 'warning'],
+    ['public.t_id_idx', 'duplicate_index', 'warning'],
+  ]);
+  assert.equal(findings[1].details.duplicate_of, 't_pkey');
+});
+
+test('cacheFindings: ratios are reported, findings need enough blocks', () => {
+  const result = HealthReport.cacheFindings({ heap_hit: 9400, heap_read: 600, index_hit: 90, index_read: 10 });
+  assert.deepEqual(result.ratios, { table: 0.94, index: 0.9 });
+  assert.deepEqual(categories(result.findings), [['table_cache', 'cache', 'critical']]);
+  assert.deepEqual(HealthReport.cacheFindings({ heap_hit: 0, heap_read: 0, index_hit: 0, index_read: 0 }).ratios, { table: null, index: null });
+});
+
+test('sessions, replication and connections use warning and critical thresholds', () => {
+  assert.deepEqual(categories(HealthReport.transactionFindings([
+    { pid: 1, transaction_ms: 600000, state: 'idle in transaction' },
+    { pid: 2, transaction_ms: 7200000, state: 'active' },
+  ])), [['pid 1', 'long_transaction', 'warning'], ['pid 2', 'long_transaction', 'critical']]);
+
+  assert.deepEqual(categories(HealthReport.replicationFindings([
+    { name: 'r1', replay_lag_ms: 1000 },
+    { name: 'r2', replay_lag_ms: 120000 },
+  ])), [['r2', 'replication', 'warning']]);
+
+  assert.deepEqual(HealthReport.connectionFindings({ used: 50, max: 100, reserved: 3 }), []);
+  assert.deepEqual(categories(HealthReport.connectionFindings({ used: 95, max: 100, reserved: 3 })), [
+    ['max_connections', 'connections', 'critical'],
+  ]);
+});
+
+test('rank: orders by severity and is healthy with info findings only', () => {
+  const report = HealthReport.rank([
+    { severity: 'info', object: 'a' },
+    { severity: 'critical', object: 'b' },
+    { severity: 'warning', object: 'c' },
+  ]);
+  assert.deepEqual(report.findings.map((item) => item.object), ['b', 'c', 'a']);
+  assert.deepEqual(report.summary, { critical: 1, warning: 1, info: 1 });
+  assert.equal(report.healthy, false);
+  assert.equal(HealthReport.rank([{ severity: 'info' }]).healthy, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationFiles = require('../src/utils/MigrationFiles.cjs');
+
+function migrationsDir(t, files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sentryfrogg-migrations-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  for (const [name, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, name), sql);
+  }
+  return directory;
+}
+
+test('ensureVersion accepts digits and strips leading zeros', () => {
+  assert.equal(MigrationFiles.ensureVersion('003', 'target_version'), '3');
+  assert.equal(MigrationFiles.ensureVersion('0'), '0');
+  assert.equal(MigrationFiles.ensureVersion('20240101120000'), '20240101120000');
+});
+
+test('ensureVersion rejects anything but digits', async (t) => {
+  for (const value of ['1.5', 'abc', ' 3', '-1', '', '1e3']) {
+    await t.test(JSON.stringify(value), () => {
+      assert.throws(() => MigrationFiles.ensureVersion(value, 'target_version'), /target_version must be a migration number/);
+    });
+  }
+});
+
+test('compareVersions compares numbers beyond the safe integer range', () => {
+  assert.equal(MigrationFiles.compareVersions('9', '10'), -1);
+  assert.equal(MigrationFiles.compareVersions('90071992547409931', '90071992547409930'), 1);
+  assert.equal(MigrationFiles.compareVersions('7', '7'), 0);
+});
+
+test('checksum ignores CRLF line endings', () => {
+  assert.equal(MigrationFiles.checksum('SELECT 1;\r\nSELECT 2;\r\n'), MigrationFiles.checksum('SELECT 1;\nSELECT 2;\n'));
+});
+
+test('load pairs up/down files, sorts numerically and skips other files', async (t) => {
+  const directory = migrationsDir(t, {
+    '10_add_index.sql': 'CREATE INDEX i ON t (a);',
+    '0002_add_column.up.sql': 'ALTER TABLE t ADD b int;',
+    '0002_add_column.down.sql': 'ALTER TABLE t DROP b;',
+    '0001-create_table.sql': 'CREATE TABLE t (a int);',
+    'README.md': '# notes',
+  });
+
+  const migrations = await MigrationFiles.load(directory);
+
+  assert.deepEqual(migrations.map((migration) => [migration.version, migration.name, migration.up.file, migration.down?.file]), [
+    ['1', 'create_table', '0001-create_table.sql', undefined],
+    ['2', 'add_column', '0002_add_column.up.sql', '0002_add_column.down.sql'],
+    ['10', 'add_index', '10_add_index.sql', undefined],
+  ]);
+  assert.equal(migrations[1].up.checksum, MigrationFiles.checksum('ALTER TABLE t ADD b int;'));
+});
+
+test('load rejects duplicate versions and down files without up', async (t) => {
+  const duplicate = migrationsDir(t, { '001_a.sql': 'SELECT 1;', '1_b.sql': 'SELECT 2;' });
+  await assert.rejects(MigrationFiles.load(duplicate), /Duplicate up migration for version 1/);
+
+  const orphan = migrationsDir(t, { '001_a.down.sql': 'SELECT 1;' });
+  await assert.rejects(MigrationFiles.load(orphan), /has a down file but no up file/);
+
+  await assert.rejects(MigrationFiles.load(path.join(orphan, 'missing')), /Cannot read migrations directory/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlanSummary = require('../src/utils/PlanSummary.cjs');
+
+const ANALYZED = {
+  'Planning Time': 0.2,
+  'Execution Time': 42,
+  Plan: {
+    'Node Type': 'Hash Join',
+    'Total Cost': 300,
+    'Plan Rows': 10,
+    'Actual Rows': 500,
+    'Actual Loops': 1,
+    'Actual Total Time': 40,
+    Plans: [
+      {
+        'Node Type': 'Seq Scan',
+        'Relation Name': 'orders',
+        'Total Cost': 200,
+        'Plan Rows': 1000,
+        'Actual Rows': 1000,
+        'Actual Loops': 1,
+        'Actual Total Time': 30,
+      },
+      {
+        'Node Type': 'Index Scan',
+        'Relation Name': 'users',
+        'Index Name': 'users_pkey',
+        'Total Cost': 8,
+        'Plan Rows': 1,
+        'Actual Rows': 1,
+        'Actual Loops': 4,
+        'Actual Total Time': 0.5,
+      },
+    ],
+  },
+};
+
+test('flatten: self cost and time exclude children, loops multiply time', () => {
+  assert.deepEqual(
+    PlanSummary.flatten(ANALYZED.Plan).map((node) => [node.id, node.depth, node.node_type, node.self_cost, node.total_time_ms, node.self_time_ms]),
+    [
+      [1, 0, 'Hash Join', 92, 40, 8],
+      [2, 1, 'Seq Scan', 200, 30, 30],
+      [3, 1, 'Index Scan', 8, 2, 2],
+    ]
+  );
+});
+
+test('summarize: ranks by time when analyzed and flags estimate mismatches', () => {
+  const summary = PlanSummary.summarize(ANALYZED);
+
+  assert.equal(summary.analyzed, true);
+  assert.equal(summary.node_count, 3);
+  assert.deepEqual(summary.costliest_nodes.map((node) => node.node_type), ['Seq Scan', 'Hash Join', 'Index Scan']);
+  assert.deepEqual(summary.row_estimate_mismatches.map((node) => [node.node_type, node.factor]), [['Hash Join', 50]]);
+});
+
+test('summarize: without ANALYZE ranks by cost; large seq scans use pg_class estimates', () => {
+  const plain = { Plan: ANALYZED.Plan };
+
+  assert.deepEqual(PlanSummary.summarize(plain).seq_scans_on_large_tables, []);
+  const summary = PlanSummary.summarize(plain, new Map([['orders', 2000000]]));
+  assert.equal(summary.analyzed, false);
+  assert.deepEqual(summary.costliest_nodes.map((node) => node.node_type), ['Seq Scan', 'Hash Join', 'Index Scan']);
+  assert.deepEqual(summary.seq_scans_on_large_tables.map((node) => [node.relation, node.table_rows]), [['orders', 2000000]]);
+  assert.deepEqual(summary.row_estimate_mismatches, []);
+});
+
+test('seqScanRelations: unique relation names', () => {
+  const plan = { Plan: { 'Node Type': 'Append', Plans: [ANALYZED.Plan.Plans[0], ANALYZED.Plan.Plans[0]] } };
+  assert.deepEqual(PlanSummary.seqScanRelations(plan), ['orders']);
+});
@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../src/services/Logger.cjs');
+const Validation = require('../src/services/Validation.cjs');
+const PostgreSQLManager = require('../src/managers/PostgreSQLManager.cjs');
+
+/**
+ * Менеджер с поддельным пулом: responder(text, values, config) отвечает на каждый запрос,
+ * журнал фиксирует тексты запросов и освобождение клиента
+ */
+function createManager(responder, options = {}) {
+  const logger = new Logger('test', 'error');
+  const log = [];
+  const client = {
+    processID: 4242,
+    query: async (query, values) => {
+      const text = typeof query === 'string' ? query : query.text;
+      log.push({ text: text.trim(), values: typeof query === 'string' ? values : query.values, config: query });
+      return responder(text, values, query);
+    },
+    release: (error) => log.push({ release: error ? 'destroy' : 'pool' }),
+  };
+  const pool = { connect: async () => client, query: client.query, end: async () => {} };
+  const profiles = {
+    getProfile: async (name) => ({ name, type: 'postgresql', host: 'db', port: 5432, username: 'u', database: 'd', options }),
+  };
+  const manager = new PostgreSQLManager(logger, null, new Validation(logger), profiles);
+  manager.pools.set('default', pool);
+  return { manager, log };
+}
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+test('delete_data dry_run rejects a where that carries extra statements', async () => {
+  const { manager, log } = createManager(() => rows([]), { read_only: true });
+  await assert.rejects(
+    manager.deleteData('default', {
+      table_name: 't',
+      dry_run: true,
+      where: "1=1) ; SELECT set_config('default_transaction_read_only','off',false); SELECT (1=1",
+    }),
+    /single boolean expression/
+  );
+  assert.equal(log.length, 0);
+});
+
+test('delete_data dry_run refuses a where that writes on read-only profiles', async () => {
+  const { manager, log } = createManager(() => rows([]), { read_only: true });
+  await assert.rejects(
+    manager.deleteData('default', {
+      table_name: 't',
+      dry_run: true,
+      where: "set_config('default_transaction_read_only', 'off', false) = 'off'",
+    }),
+    /read-only/
+  );
+  assert.equal(log.length, 0);
+});
+
+test('dry_run preview restores read-only mode before releasing the client', async () => {
+  const { manager, log } = createManager((text) => (
+    text.includes('count(*)') ? rows([{ total: '2' }]) : rows([{ id: 1 }, { id: 2 }])
+  ), { read_only: true });
+
+  const result = await manager.deleteData('default', { table_name: 't', dry_run: true, filter: { id: { in: [1, 2] } } });
+
+  assert.equal(result.affected, 2);
+  assert.deepEqual(log.map((entry) => entry.text ?? entry.release).slice(-2), [
+    'SET SESSION CHARACTERISTICS AS TRANSACTION READ ONLY',
+    'pool',
+  ]);
+});
+
+test('delete_data is refused on read-only profiles before any query', async () => {
+  const { manager, log } = createManager(() => rows([]), { read_only: true });
+  await assert.rejects(manager.deleteData('default', { table_name: 't', where: 'id = 1' }), /read-only/);
+  assert.equal(log.length, 0);
+});
+
+test('update/delete previews and writes use the extended protocol even without values', async () => {
+  const { manager, log } = createManager((text) => (text.includes('count(*)') ? rows([{ total: '0' }]) : rows([])));
+
+  await manager.deleteData('default', { table_name: 't', dry_run: true, where: 'id > 0' });
+  await manager.deleteData('default', { table_name: 't', where: 'id > 0' });
+
+  const statements = log.filter((entry) => entry.text && !entry.text.startsWith('SET'));
+  assert.equal(statements.length, 3);
+  for (const entry of statements) {
+    assert.equal(entry.config.queryMode, 'extended', entry.text);
+    assert.deepEqual(entry.values, []);
+  }
+});
+
+test('max_rows write keeps the statement error when ROLLBACK fails', async () => {
+  const { manager, log } = createManager((text) => {
+    if (text.startsWith('DELETE')) {
+      throw new Error('permission denied for table t');
+    }
+    if (text === 'ROLLBACK') {
+      throw new Error('Connection terminated');
+    }
+    return rows([]);
+  });
+
+  await assert.rejects(
+    manager.deleteData('default', { table_name: 't', where: 'id = 1', max_rows: 1 }),
+    /permission denied for table t/
+  );
+  assert.deepEqual(log.at(-1), { release: 'destroy' });
+});
+
+test('privileges includes grants a role inherits through membership', async () => {
+  const { manager, log } = createManager((text, values) => {
+    if (text.includes('FROM pg_roles r')) {
+      // как драйвер pg: name[] без приведения к text приходит строкой
+      const names = (list) => (/rolname::text/.test(text) ? list : `{${list.join(',')}}`);
+      return rows([{ name: 'app_user', inherit: true, member_of: names(['app_group']), inherits_from: names(['app_group']) }]);
+    }
+    if (text.includes('aclexplode(o.acl)')) {
+      const grants = [
+        { object_type: 'table', object: 's1.child', column_name: null, owner: 'owner', grantee: 'app_group', privilege_type: 'SELECT', is_grantable: false },
+        { object_type: 'table', object: 's1.child', column_name: null, owner: 'owner', grantee: 'other', privilege_type: 'SELECT', is_grantable: false },
+      ];
+      return rows(grants.filter((row) => values[2].includes(row.grantee)));
+    }
+    return rows([]);
+  });
+
+  const result = await manager.privileges('default', { role: 'app_user' });
+
+  assert.deepEqual(result.role.member_of, ['app_group']);
+  assert.deepEqual(log.find((entry) => entry.text?.includes('aclexplode(o.acl)')).values[2], ['app_user', 'app_group']);
+  assert.deepEqual(result.matrix.map((entry) => [entry.object, entry.grantee, entry.via, entry.privileges]), [
+    ['s1.child', 'app_group', 'app_group', ['SELECT']],
+  ]);
+});
+
+test('dump_schema renders enum types from the catalog', async () => {
+  const { manager } = createManager((text) => {
+    if (text.includes('FROM pg_namespace WHERE nspname = ANY')) {
+      return rows([{ nspname: 's1' }]);
+    }
+    if (text.includes('JOIN pg_enum e')) {
+      // как драйвер pg: name[] без приведения к text приходит строкой
+      return rows([{ schema: 's1', name: 'mood', labels: /enumlabel::text/.test(text) ? ['happy', 'sad'] : '{happy,sad}' }]);
+    }
+    return rows([]);
+  });
+
+  const result = await manager.dumpSchema('default', { schemas: ['s1'] });
+
+  assert.match(result.ddl, /CREATE TYPE "s1"\."mood" AS ENUM \('happy', 'sad'\);/);
+  assert.equal(result.counts.enums, 1);
+});
+
+test('transaction reports the failing step when ROLLBACK fails too', async () => {
+  const { manager, log } = createManager((text) => {
+    if (text.startsWith('INSERT')) {
+      throw new Error('duplicate key value violates unique constraint "t_pkey"');
+    }
+    if (text.startsWith('ROLLBACK')) {
+      throw new Error('Connection terminated');
+    }
+    return rows([]);
+  });
+
+  await assert.rejects(
+    manager.runTransaction('default', [{ sql: 'UPDATE t SET a = 1' }, { sql: 'INSERT INTO t VALUES (1)', savepoint: true }]),
+    /rolled back at step 2 of 2: duplicate key value/
+  );
+  assert.deepEqual(log.filter((entry) => entry.text?.startsWith('ROLLBACK')).map((entry) => entry.text), [
+    'ROLLBACK TO SAVEPOINT sentryfrogg_step_2',
+    'ROLLBACK',
+  ]);
+  assert.deepEqual(log.at(-1), { release: 'destroy' });
+});
+
+test('export_query keeps the query error when ROLLBACK fails and removes the partial file', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sentryfrogg-export-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const { manager } = createManager((text) => {
+    if (text.startsWith('FETCH')) {
+      throw new Error('division by zero');
+    }
+    if (text === 'ROLLBACK') {
+      throw new Error('Connection terminated');
+    }
+    return rows([]);
+  });
+  manager.exportDir = directory;
+
+  await assert.rejects(manager.exportQuery('default', { sql: 'SELECT 1 / 0', file_path: 'out.csv' }), /division by zero/);
+  assert.deepEqual(fs.readdirSync(directory), []);
+});
+
+test('migrate_up and migrate_down reject a non-numeric target_version before reading files', async () => {
+  const { manager, log } = createManager(() => rows([]), { migrations_dir: '/nonexistent' });
+  await assert.rejects(manager.migrateUp('default', { target_version: '1.5' }), /target_version must be a migration number/);
+  await assert.rejects(manager.migrateDown('default', { target_version: 'latest' }), /target_version must be a migration number/);
+  assert.equal(log.length, 0);
+});
+
+test('upsert_data rejects batches over the bind parameter limit before connecting', async () => {
+  const { manager, log } = createManager(() => rows([]));
+  const data = Array.from({ length: 21846 }, (_, id) => ({ id, a: 1, b: 2 }));
+  await assert.rejects(
+    manager.upsertData('default', { table_name: 't', data, conflict_columns: ['id'] }),
+    /needs 65538 bind parameters, more than the 65535/
+  );
+  assert.equal(log.length, 0);
+});
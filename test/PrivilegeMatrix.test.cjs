@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PrivilegeMatrix = require('../src/utils/PrivilegeMatrix.cjs');
+
+const grant = (grantee, privilege, extra = {}) => ({
+  object_type: 'table',
+  object: 's1.child',
+  column_name: null,
+  owner: 'owner',
+  grantee,
+  privilege_type: privilege,
+  is_grantable: false,
+  ...extra,
+});
+
+test('build: groups privileges per object and grantee in a stable order', () => {
+  const matrix = PrivilegeMatrix.build([
+    grant('app_user', 'UPDATE'),
+    grant('app_user', 'SELECT', { is_grantable: true }),
+    grant('PUBLIC', 'SELECT'),
+    grant('app_user', 'SELECT', { object_type: 'column', column_name: 'secret' }),
+  ]);
+
+  assert.deepEqual(matrix.map((entry) => [entry.column, entry.grantee, entry.privileges, entry.grantable]), [
+    [undefined, 'app_user', ['SELECT', 'UPDATE'], ['SELECT']],
+    [undefined, 'PUBLIC', ['SELECT'], []],
+    ['secret', 'app_user', ['SELECT'], []],
+  ]);
+});
+
+test('build: inherited grants name the role they come from in via', () => {
+  const matrix = PrivilegeMatrix.build([grant('app_group', 'SELECT'), grant('app_user', 'INSERT')], 'app_user');
+  assert.deepEqual(matrix.map((entry) => [entry.grantee, entry.via]), [['app_group', 'app_group'], ['app_user', undefined]]);
+});
+
+test('policies: keeps policies of effective roles and flags RLS without policies', () => {
+  const policy = (name, roles) => ({ table: 's1.t', rls_enabled: true, rls_forced: false, name, command: 'SELECT', permissive: true, roles });
+  const tables = PrivilegeMatrix.policies([
+    policy('own_rows', ['app_group']),
+    policy('admins', ['admin']),
+    policy('everyone', ['PUBLIC']),
+    { table: 's1.locked', rls_enabled: true, rls_forced: true, name: null },
+  ], new Set(['app_user', 'app_group']));
+
+  assert.deepEqual(tables[0].policies.map((entry) => entry.name), ['own_rows', 'everyone']);
+  assert.equal(tables[0].default_deny, undefined);
+  assert.deepEqual(tables[1], { table: 's1.locked', enabled: true, forced: true, policies: [], default_deny: true });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QueryParams = require('../src/utils/QueryParams.cjs');
+
+const DEFINITIONS = QueryParams.normalize([
+  'user_id',
+  { name: 'since', type: 'string', description: 'ISO date', default: '2024-01-01' },
+  { name: 'meta', type: 'json', required: false },
+  { name: 'limit', type: 'integer', default: 10 },
+], 4);
+
+test('normalize: names, defaults and required flags', () => {
+  assert.deepEqual(DEFINITIONS, [
+    { name: 'user_id', type: 'any', required: true },
+    { name: 'since', type: 'string', required: false, description: 'ISO date', default: '2024-01-01' },
+    { name: 'meta', type: 'json', required: false },
+    { name: 'limit', type: 'integer', required: false, default: 10 },
+  ]);
+});
+
+const REJECTED = [
+  [['a'], 2, /uses 2 placeholder\(s\) but 1 parameter/],
+  [['1a'], 1, /must be an identifier/],
+  [['a', 'a'], 2, /Duplicate parameter name 'a'/],
+  [[{ name: 'a', type: 'date' }], 1, /type must be one of/],
+  [[{ name: 'a', type: 'integer', default: 1.5 }], 1, /Default for parameter 'a' must be of type integer/],
+  [[42], 1, /must be an object or a name/],
+];
+
+test('normalize: invalid schemas are rejected', async (t) => {
+  for (const [params, placeholders, message] of REJECTED) {
+    await t.test(JSON.stringify(params), () => {
+      assert.throws(() => QueryParams.normalize(params, placeholders), message);
+    });
+  }
+});
+
+test('bind: by name or position, defaults fill gaps, json is serialized', () => {
+  assert.deepEqual(QueryParams.bind(DEFINITIONS, { user_id: 7, meta: { tags: ['a'] } }), [7, '2024-01-01', '{"tags":["a"]}', 10]);
+  assert.deepEqual(QueryParams.bind(DEFINITIONS, [7, '2025-01-01', null]), [7, '2025-01-01', null, 10]);
+});
+
+test('bind: missing, unknown and mistyped values are rejected', () => {
+  assert.throws(() => QueryParams.bind(DEFINITIONS, {}), /Parameter 'user_id' is required/);
+  assert.throws(() => QueryParams.bind(DEFINITIONS, { user_id: 1, userid: 1 }), /Unknown parameter\(s\): userid/);
+  assert.throws(() => QueryParams.bind(DEFINITIONS, { user_id: 1, limit: '5' }), /'limit' must be of type integer/);
+  assert.throws(() => QueryParams.bind(DEFINITIONS, [1, 2, 3, 4, 5]), /at most 4 parameter/);
+  assert.throws(() => QueryParams.bind(DEFINITIONS, 'x'), /keyed by parameter name or an array/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RelationGraph = require('../src/utils/RelationGraph.cjs');
+
+const edge = (from, to, extra = {}) => ({
+  name: `${from}_fk`,
+  from,
+  to,
+  from_columns: ['parent_id'],
+  to_columns: ['id'],
+  nullable: false,
+  unique: false,
+  ...extra,
+});
+
+test('neighborhood follows foreign keys in both directions up to depth', () => {
+  const edges = [edge('s.b', 's.a'), edge('s.c', 's.b'), edge('s.d', 's.c')];
+  assert.deepEqual([...RelationGraph.neighborhood(edges, 's.b', 1)].sort(), ['s.a', 's.b', 's.c']);
+  assert.deepEqual([...RelationGraph.neighborhood(edges, 's.a', 3)].sort(), ['s.a', 's.b', 's.c', 's.d']);
+});
+
+const TYPES = [
+  ['numeric(10,2)', 'numeric(10,2)'],
+  ['numeric(12, 4)', 'numeric(12,4)'],
+  ['character varying(20)', 'character_varying(20)'],
+  ['timestamp(3) with time zone', 'timestamp(3)_with_time_zone'],
+  ['text[]', 'text[]'],
+  ['public.mood', 'public_mood'],
+  ['"Mood"', 'Mood'],
+];
+
+test('mermaid keeps column types with their typmods', async (t) => {
+  for (const [type, rendered] of TYPES) {
+    await t.test(type, () => {
+      const diagram = RelationGraph.mermaid({
+        nodes: [{ id: 'public.prices', schema: 'public', name: 'prices', columns: [{ name: 'amount', type }] }],
+        edges: [],
+      });
+      assert.match(diagram, new RegExp(`^ {4}${rendered.replace(/[()[\]]/g, '\\$&')} amount$`, 'm'));
+    });
+  }
+});
+
+test('mermaid aliases names that are not plain ASCII', () => {
+  const diagram = RelationGraph.mermaid({
+    nodes: [
+      { id: 'public.заказы', schema: 'public', name: 'заказы', columns: [{ name: 'id', type: 'integer', primary_key: true }] },
+      { id: 'public.строки', schema: 'public', name: 'строки', columns: [{ name: 'заказ id', type: 'integer', foreign_key: true }] },
+    ],
+    edges: [edge('public.строки', 'public.заказы', { from_columns: ['заказ id'], nullable: true })],
+  });
+
+  assert.equal(diagram, [
+    'erDiagram',
+    '  entity["заказы"] {',
+    '    integer id PK',
+    '  }',
+    '  entity_2["строки"] {',
+    '    integer ______id FK "заказ id"',
+    '  }',
+    '  entity |o--o{ entity_2 : "заказ id"',
+    '',
+  ].join('\n'));
+});
+
+test('dot links columns of tables that list them and escapes labels', () => {
+  const diagram = RelationGraph.dot({
+    nodes: [
+      { id: 'public.a', columns: [{ name: 'id', type: 'integer', primary_key: true }] },
+      { id: 'other.b', external: true },
+    ],
+    edges: [edge('public.a', 'other.b', { from_columns: ['id'] })],
+  });
+
+  assert.match(diagram, /<td port="id" align="left">id : integer \(PK\)<\/td>/);
+  assert.match(diagram, /"other\.b" \[shape=box, label="other\.b", style=dashed\];/);
+  assert.match(diagram, /"public\.a":"id" -> "other\.b" \[label="public\.a_fk"\];/);
+});
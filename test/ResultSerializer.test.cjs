@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ResultSerializer = require('../src/utils/ResultSerializer.cjs');
+
+const TYPES = new Map([
+  [20, { base_name: 'bigint', category: 'N' }],
+  [23, { base_name: 'integer', category: 'N' }],
+  [16, { base_name: 'boolean', category: 'B' }],
+  [17, { base_name: 'bytea', category: 'U' }],
+  [25, { base_name: 'text', category: 'S' }],
+  [3802, { base_name: 'jsonb', category: 'U' }],
+  [1184, { base_name: 'timestamp with time zone', category: 'D' }],
+  [1114, { base_name: 'timestamp without time zone', category: 'D' }],
+  [1016, { base_name: 'bigint', category: 'A', element: 20 }],
+  [1009, { base_name: 'text', category: 'A', element: 25 }],
+]);
+
+test('ensureOptions: defaults and validation', () => {
+  assert.equal(ResultSerializer.ensureOptions().mode, 'raw');
+  assert.deepEqual(ResultSerializer.ensureOptions({ serialization: 'TYPED', bytea_encoding: 'hex', max_bytes: 0 }), {
+    mode: 'typed', byteaEncoding: 'hex', maxBytes: 0,
+  });
+  assert.throws(() => ResultSerializer.ensureOptions({ serialization: 'json' }), /serialization must be one of/);
+  assert.throws(() => ResultSerializer.ensureOptions({ bytea_encoding: 'escape' }), /base64 or hex/);
+  assert.throws(() => ResultSerializer.ensureOptions({ max_bytes: -1 }), /non-negative integer/);
+});
+
+test('parseArray: quoting, NULL, nesting, bounds and custom delimiters', () => {
+  assert.deepEqual(ResultSerializer.parseArray('{1,"a b",NULL,"NULL","q\\"x\\\\"}'), ['1', 'a b', null, 'NULL', 'q"x\\']);
+  assert.deepEqual(ResultSerializer.parseArray('{{1,2},{3,4}}'), [['1', '2'], ['3', '4']]);
+  assert.deepEqual(ResultSerializer.parseArray('[0:1]={7,8}'), ['7', '8']);
+  assert.deepEqual(ResultSerializer.parseArray('{}'), []);
+  assert.deepEqual(ResultSerializer.parseArray('{(0,0),(1,1);(2,2),(3,3)}', ';'), ['(0,0),(1,1)', '(2,2),(3,3)']);
+  assert.throws(() => ResultSerializer.parseArray('{1,2'), /Malformed array literal/);
+});
+
+test('serializeRows: typed values keep precision and are JSON-safe', () => {
+  const options = ResultSerializer.ensureOptions({ serialization: 'typed', max_bytes: 2 });
+  const fields = [
+    ['big', 20], ['int', 23], ['flag', 16], ['blob', 17], ['doc', 3802], ['tz', 1184], ['ts', 1114], ['ids', 1016], ['tags', 1009], ['unknown', 99999],
+  ].map(([name, dataTypeID]) => ({ name, dataTypeID }));
+  const row = {
+    big: '9007199254740993',
+    int: '42',
+    flag: 'f',
+    blob: '\\x010203',
+    doc: '{"a":[1]}',
+    tz: '2024-01-02 03:04:05.5+05:30',
+    ts: '2024-01-02 03:04:05',
+    ids: '{1,NULL}',
+    tags: '{"a,b",c}',
+    unknown: 'as is',
+  };
+
+  assert.deepEqual(ResultSerializer.serializeRows([row], fields, TYPES, options), [{
+    big: { type: 'bigint', value: '9007199254740993' },
+    int: 42,
+    flag: false,
+    blob: { type: 'bytea', encoding: 'base64', bytes: 3, truncated: true, value: 'AQI=' },
+    doc: { a: [1] },
+    tz: '2024-01-02T03:04:05.5+05:30',
+    ts: '2024-01-02T03:04:05',
+    ids: [{ type: 'bigint', value: '1' }, null],
+    tags: ['a,b', 'c'],
+    unknown: 'as is',
+  }]);
+});
+
+test('isoTimestamp: whole-hour offsets and special values', () => {
+  assert.equal(ResultSerializer.isoTimestamp('2024-01-02 03:04:05+00', true), '2024-01-02T03:04:05+00:00');
+  assert.equal(ResultSerializer.isoTimestamp('infinity', true), 'infinity');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaDiff = require('../src/utils/SchemaDiff.cjs');
+
+const empty = () => ({ tables: {}, indexes: {}, constraints: {}, views: {}, functions: {} });
+
+const FROM = {
+  ...empty(),
+  tables: {
+    users: { columns: { id: { type: 'integer', not_null: true, default: null }, legacy: { type: 'text', not_null: false, default: null } } },
+    old_log: { columns: { id: { type: 'integer', not_null: true, default: null } } },
+  },
+  indexes: { users_legacy_idx: { definition: 'CREATE INDEX users_legacy_idx ON users USING btree (legacy)' } },
+};
+
+const TO = {
+  ...empty(),
+  tables: {
+    users: { columns: { id: { type: 'bigint', not_null: true, default: null }, email: { type: 'text', not_null: true, default: "''::text" } } },
+    orders: { columns: { id: { type: 'integer', not_null: true, default: null }, user_id: { type: 'bigint', not_null: false, default: null } } },
+  },
+  constraints: {
+    'orders.orders_user_fk': { table: 'orders', name: 'orders_user_fk', type: 'f', definition: 'FOREIGN KEY (user_id) REFERENCES users(id)' },
+  },
+  views: { active: { name: 'active', materialized: false, definition: ' SELECT id FROM users;' } },
+};
+
+test('stripSchema: removes plain and quoted qualification only at identifier starts', () => {
+  assert.equal(
+    SchemaDiff.stripSchema('REFERENCES app.users(id), "app".orders, myapp.users', 'app'),
+    'REFERENCES users(id), orders, myapp.users'
+  );
+  assert.equal(SchemaDiff.stripSchema(null, 'app'), null);
+});
+
+test('compare: added, removed and changed objects with column details', () => {
+  const diff = SchemaDiff.compare(FROM, TO);
+
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.tables.added, ['orders']);
+  assert.deepEqual(diff.tables.removed, ['old_log']);
+  assert.deepEqual(diff.tables.changed, [{
+    name: 'users',
+    columns: { added: ['email'], removed: ['legacy'], changed: [{ name: 'id', type: { from: 'integer', to: 'bigint' } }] },
+  }]);
+  assert.deepEqual(diff.summary.indexes, { added: 0, removed: 1, changed: 0 });
+  assert.equal(SchemaDiff.compare(TO, TO).identical, true);
+});
+
+test('toMigration: orders sections and comments out destructive changes', () => {
+  const sql = SchemaDiff.toMigration(SchemaDiff.compare(FROM, TO), FROM, TO, 'app');
+
+  assert.equal(sql, [
+    'SET search_path TO "app";',
+    '',
+    '-- Drop changed or removed dependent objects',
+    'DROP INDEX IF EXISTS "users_legacy_idx";',
+    '',
+    '-- Tables and columns',
+    'CREATE TABLE "orders" (',
+    '  "id" integer NOT NULL,',
+    '  "user_id" bigint',
+    ');',
+    'ALTER TABLE "users" ADD COLUMN "email" text DEFAULT \'\'::text NOT NULL;',
+    'ALTER TABLE "users" ALTER COLUMN "id" TYPE bigint USING "id"::bigint;',
+    '',
+    '-- Foreign keys',
+    'ALTER TABLE "orders" ADD CONSTRAINT "orders_user_fk" FOREIGN KEY (user_id) REFERENCES users(id);',
+    '',
+    '-- Views',
+    'CREATE VIEW "active" AS',
+    'SELECT id FROM users;',
+    '',
+    '-- Destructive changes (review before uncommenting)',
+    '-- ALTER TABLE "users" DROP COLUMN "legacy";',
+    '-- DROP TABLE "old_log";',
+    '',
+  ].join('\n'));
+  assert.equal(SchemaDiff.toMigration(SchemaDiff.compare(TO, TO), TO, TO, 'app'), '-- Schemas are identical\n');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaDump = require('../src/utils/SchemaDump.cjs');
+
+const emptyCatalog = {
+  schemas: [],
+  relations: [],
+  enums: [],
+  functions: [],
+  constraints: [],
+  indexes: [],
+  triggers: [],
+  grants: [],
+};
+
+test('render: objects come out in dependency order', () => {
+  const { ddl, counts } = SchemaDump.render({
+    ...emptyCatalog,
+    schemas: ['s1'],
+    enums: [{ schema: 's1', name: 'mood', labels: ['happy', "it's ok"] }],
+    relations: [
+      { kind: 'r', schema: 's1', name: 'child_2024', partition_of: '"s1"."child"', partition_bound: "FOR VALUES IN ('2024')" },
+      {
+        kind: 'p',
+        schema: 's1',
+        name: 'child',
+        partition_key: 'LIST (year)',
+        columns: [
+          { name: 'id', type: 'bigint', identity: 'a', not_null: true },
+          { name: 'year', type: 'text', default: "'2024'::text", not_null: true },
+          { name: 'mood', type: 's1.mood' },
+          { name: 'price', type: 'numeric(10,2)', generated: 's', default: '0' },
+        ],
+      },
+      { kind: 'v', schema: 's1', name: 'recent', view_definition: ' SELECT id FROM s1.child;' },
+    ],
+    constraints: [
+      { type: 'f', table: '"s1"."child"', name: 'child_parent_fk', definition: 'FOREIGN KEY (id) REFERENCES s1.parent(id)' },
+      { type: 'p', table: '"s1"."child"', name: 'child_pkey', definition: 'PRIMARY KEY (id, year)' },
+    ],
+    indexes: [{ definition: 'CREATE INDEX child_mood ON ONLY s1.child USING btree (mood)' }],
+    grants: [
+      { kind: 'p', object: '"s1"."child"', grantee: 'app', privilege_type: 'SELECT', is_grantable: false },
+      { kind: 'p', object: '"s1"."child"', grantee: 'app', privilege_type: 'INSERT', is_grantable: false },
+    ],
+  });
+
+  assert.match(ddl, /CREATE TYPE "s1"\."mood" AS ENUM \('happy', 'it''s ok'\);/);
+  assert.match(ddl, /"id" bigint GENERATED ALWAYS AS IDENTITY NOT NULL/);
+  assert.match(ddl, /"price" numeric\(10,2\) GENERATED ALWAYS AS \(0\) STORED/);
+  assert.match(ddl, /\) PARTITION BY LIST \(year\);/);
+  assert.match(ddl, /CREATE INDEX child_mood ON s1\.child USING btree \(mood\);/);
+  assert.match(ddl, /CREATE VIEW "s1"\."recent" AS\nSELECT id FROM s1\.child;/);
+  assert.match(ddl, /GRANT SELECT, INSERT ON TABLE "s1"\."child" TO app;/);
+
+  const order = ['CREATE SCHEMA', 'CREATE TYPE', 'CREATE TABLE "s1"."child" (', 'PARTITION OF', 'child_pkey', 'child_mood', 'child_parent_fk', 'CREATE VIEW', 'GRANT'];
+  const positions = order.map((marker) => ddl.indexOf(marker));
+  assert.ok(positions.every((position) => position >= 0), positions.join(','));
+  assert.deepEqual([...positions].sort((a, b) => a - b), positions);
+  assert.deepEqual(counts, { schemas: 1, enums: 1, sequences: 0, functions: 0, tables: 2, views: 1, constraints: 2, indexes: 1, triggers: 0, grants: 2 });
+});
+
+test('render: sequences get their options and ownership after the tables', () => {
+  const { ddl } = SchemaDump.render({
+    ...emptyCatalog,
+    relations: [{
+      kind: 'S', schema: 'public', name: 'ids', type: 'bigint', increment: 1, min: 1, max: 100, start: 1, cache: 1, cycle: true,
+      owned_by: '"public"."t"."id"',
+    }],
+  });
+  assert.match(ddl, /CREATE SEQUENCE "public"\."ids"\n {2}AS bigint\n {2}INCREMENT BY 1\n {2}MINVALUE 1\n {2}MAXVALUE 100\n {2}START WITH 1\n {2}CACHE 1\n {2}CYCLE;/);
+  assert.match(ddl, /ALTER SEQUENCE "public"\."ids" OWNED BY "public"\."t"\."id";/);
+});
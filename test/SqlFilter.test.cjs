@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqlFilter = require('../src/utils/SqlFilter.cjs');
+
+const ensureColumn = (name) => {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid column ${name}`);
+  }
+  return name;
+};
+
+const COMPILED = [
+  [{ id: 5 }, 'id = $1', [5]],
+  [{ id: null }, 'id IS NULL', []],
+  [{ id: [1, 2] }, 'id = ANY($1)', [[1, 2]]],
+  [{ status: { ne: 'done' } }, 'status IS DISTINCT FROM $1', ['done']],
+  [{ status: { ne: null } }, 'status IS NOT NULL', []],
+  [{ id: { not_in: [3] } }, 'NOT (id = ANY($1))', [[3]]],
+  [{ created_at: { gte: '2024-01-01', lt: '2025-01-01' } }, 'created_at >= $1 AND created_at < $2', ['2024-01-01', '2025-01-01']],
+  [{ name: { ilike: 'a%' } }, 'name ILIKE $1', ['a%']],
+  [{ deleted_at: { is_null: false } }, 'deleted_at IS NOT NULL', []],
+  [{ a: 1, or: [{ b: 2 }, { c: null }] }, 'a = $1 AND ((b = $2) OR (c IS NULL))', [1, 2]],
+];
+
+test('compile: operators and grouping', async (t) => {
+  for (const [filter, clause, values] of COMPILED) {
+    await t.test(JSON.stringify(filter), () => {
+      assert.deepEqual(SqlFilter.compile(filter, { ensureColumn }), { clause, values });
+    });
+  }
+});
+
+test('compile: placeholders continue after the offset', () => {
+  assert.deepEqual(SqlFilter.compile({ a: 1, b: { gt: 2 } }, { offset: 2, ensureColumn }), {
+    clause: 'a = $3 AND b > $4',
+    values: [1, 2],
+  });
+});
+
+const REJECTED = [
+  [{}, /must not be empty/],
+  [[], /must be an object/],
+  [{ or: [] }, /non-empty array/],
+  [{ id: {} }, /must not be empty/],
+  [{ id: { in: [] } }, /non-empty array/],
+  [{ id: { between: [1, 2] } }, /Unsupported filter operator 'between'/],
+  [{ id: { lt: null } }, /requires a value/],
+  [{ 'id; DROP TABLE t': 1 }, /Invalid column/],
+];
+
+test('compile: invalid filters are rejected', async (t) => {
+  for (const [filter, message] of REJECTED) {
+    await t.test(JSON.stringify(filter), () => {
+      assert.throws(() => SqlFilter.compile(filter, { ensureColumn }), message);
+    });
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SqlLexer = require('../src/utils/SqlLexer.cjs');
+
+const CLASSIFICATION = [
+  ['SELECT 1', 'read', 'SELECT'],
+  ['-- comment\n/* outer /* nested */ */ SELECT 1', 'read', 'SELECT'],
+  ['WITH x AS (SELECT 1) SELECT * FROM x', 'read', 'SELECT'],
+  ['VALUES (1), (2)', 'read', 'VALUES'],
+  ['TABLE users', 'read', 'TABLE'],
+  ["SELECT current_setting('transaction_read_only')", 'read', 'SELECT'],
+  ["SELECT current_setting('default_transaction_read_only')", 'read', 'SELECT'],
+  ["SELECT set_config('search_path', 'public', false)", 'read', 'SELECT'],
+  ["SELECT 'default_transaction_read_only' AS name", 'read', 'SELECT'],
+  ['SHOW default_transaction_read_only', 'read', 'SHOW'],
+  ["SELECT set_config('default_transaction_read_only', 'off', false)", 'write', 'SELECT'],
+  ["SELECT pg_catalog.set_config('transaction_read_only', 'off', true)", 'write', 'SELECT'],
+  ["SELECT set_config('default_transaction_' || 'read_only', 'off', false)", 'write', 'SELECT'],
+  ['SELECT set_config($1, $2, false)', 'write', 'SELECT'],
+  ['WITH s AS (SELECT set_config(name, setting, false) FROM pg_settings) SELECT 1', 'write', 'SELECT'],
+  ['SET default_transaction_read_only = off', 'write', 'SET'],
+  ['SET SESSION transaction_read_only TO off', 'write', 'SET'],
+  ['RESET default_transaction_read_only', 'write', 'RESET'],
+  ['SET SESSION CHARACTERISTICS AS TRANSACTION READ WRITE', 'write', 'SET'],
+  ['BEGIN READ WRITE', 'write', 'BEGIN'],
+  ['SET search_path TO public', 'utility', 'SET'],
+  ['BEGIN', 'utility', 'BEGIN'],
+  ['WITH d AS (DELETE FROM t RETURNING *) SELECT * FROM d', 'write', 'SELECT'],
+  ['SELECT * FROM t FOR UPDATE', 'write', 'SELECT'],
+  ['EXPLAIN ANALYZE DELETE FROM t', 'write', 'EXPLAIN'],
+  ['EXPLAIN (ANALYZE false) DELETE FROM t', 'read', 'EXPLAIN'],
+  ['EXPLAIN (', 'read', 'EXPLAIN'],
+  ['COPY t TO STDOUT', 'read', 'COPY'],
+  ['COPY t FROM STDIN', 'write', 'COPY'],
+  ['SELECT * INTO copy FROM t', 'ddl', 'SELECT INTO'],
+  ['CREATE OR REPLACE VIEW v AS SELECT 1', 'ddl', 'CREATE VIEW'],
+  ['SELECT 1; DELETE FROM t', 'write', 'DELETE'],
+];
+
+test('classify: statement kinds', async (t) => {
+  for (const [sql, kind, command] of CLASSIFICATION) {
+    await t.test(sql, () => {
+      const result = SqlLexer.classify(sql);
+      assert.equal(result.kind, kind);
+      assert.ok(result.statements.some((statement) => statement.command === command), `command ${command}`);
+    });
+  }
+});
+
+const SPLITTING = [
+  ['SELECT 1;', ['SELECT 1']],
+  ['SELECT 1; SELECT 2', ['SELECT 1', 'SELECT 2']],
+  ['SELECT $$ ; $$ AS a', ['SELECT $$ ; $$ AS a']],
+  ["SELECT ';' AS a -- ; trailing", ["SELECT ';' AS a"]],
+  ['SELECT "a;b" FROM t', ['SELECT "a;b" FROM t']],
+  ["SELECT E'\\';' AS a", ["SELECT E'\\';' AS a"]],
+  ['CREATE FUNCTION f() RETURNS int BEGIN ATOMIC SELECT 1; END; SELECT 2', [
+    'CREATE FUNCTION f() RETURNS int BEGIN ATOMIC SELECT 1; END',
+    'SELECT 2',
+  ]],
+];
+
+test('split: statement boundaries', async (t) => {
+  for (const [sql, expected] of SPLITTING) {
+    await t.test(sql, () => {
+      assert.deepEqual(SqlLexer.split(sql).map((statement) => statement.text), expected);
+    });
+  }
+});
+
+const CAPS = [
+  ['SELECT * FROM t', [true]],
+  ["SELECT 'limit 5' FROM t", [true]],
+  ['SELECT * FROM (SELECT 1 LIMIT 2) s', [true]],
+  ['SELECT 1 LIMIT 5', null],
+  ['SELECT 1 FETCH FIRST 3 ROWS ONLY', null],
+  ['DELETE FROM t', null],
+  ['SELECT * FROM t FOR UPDATE', null],
+  ['SELECT 1 LIMIT 1; SELECT * FROM huge', [false, true]],
+  ['SELECT * FROM a; SELECT * FROM b', [true, true]],
+];
+
+test('capRows: every unlimited read statement is wrapped', async (t) => {
+  for (const [sql, expected] of CAPS) {
+    await t.test(sql, () => {
+      const capped = SqlLexer.capRows(SqlLexer.classify(sql), 10);
+      assert.deepEqual(capped?.capped ?? null, expected);
+    });
+  }
+});
+
+test('capRows: trailing line comment stays inside the subquery', () => {
+  const capped = SqlLexer.capRows(SqlLexer.classify('SELECT 1 -- note'), 10);
+  assert.equal(capped.text, 'SELECT * FROM (\nSELECT 1\n) AS sentryfrogg_capped LIMIT 10');
+});
+
+test('countPlaceholders ignores literals', () => {
+  assert.equal(SqlLexer.countPlaceholders("SELECT $1, '$5', $3"), 3);
+});
+
+test('tokenize reports unterminated literals', () => {
+  assert.throws(() => SqlLexer.tokenize("SELECT 'x"), /Unterminated string literal at position 8/);
+});